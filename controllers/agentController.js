@@ -1,6 +1,36 @@
 const bcrypt = require("bcryptjs"); // Import bcrypt for password hashing
 const Agent = require("../models/Agent"); // Import the Agent model
 const Task = require("../models/Task"); //  Import Task model
+const { isEmailTaken, findAccountByEmail } = require("../services/accountService"); // Cross-collection email lookup
+const {
+  MAX_AGENT_SKILLS,
+  validateEmail,
+  validateMobile,
+  validateSkill,
+  normalizeSkill
+} = require("../utils/validators"); // Shared input validation
+const { sendVerificationEmail } = require("../services/authTokenService"); // Email verification links
+const Invitation = require("../models/Invitation"); // Import the Invitation model
+const { createInvitation, MAX_INVITE_TTL_DAYS } = require("../services/invitationService"); // Invitation tokens and emails
+const { annotateAudit, snapshot, getRequestActor } = require("../services/auditService"); // Audit trail details
+const { revokeAllSessions } = require("../services/tokenService"); // Sign deleted agents out
+const {
+  AssignmentError,
+  getAssignableAgent,
+  getOpenTaskCounts,
+  planRedistribution,
+  applyReassignments
+} = require("../services/assignmentService"); // Task handovers
+const { OPEN_TASK_STATUSES } = require("../utils/taskStatus");
+const { validateSchedule, isOnShift } = require("../utils/schedule"); // Working hours
+
+const AGENT_STATUSES = ["Available", "Not-Available", "Decommissioned"];
+
+// Agent fields captured in audit before/after snapshots
+const AGENT_AUDIT_FIELDS = ["name", "email", "mobile", "status", "weight", "skills", "maxOpenTasks"];
+
+const MAX_AGENT_WEIGHT = 10;
+const MAX_OPEN_TASKS_LIMIT = 1000;
 
 
 // Function to add a new agent
@@ -8,8 +38,8 @@ const addAgent = async (req, res) => {
   try {
     const { name, email, mobile, password , status } = req.body; // Extract agent details from request body
     // Check if an agent with the same email already exists
-    let user =  await Agent.findOne({ email })
-    if (user) {
+    // Emails must be unique across admins and agents since login no longer splits by domain
+    if (await isEmailTaken(email)) {
       return res.status(400).json({ message: "Agent already exists" });
       
     }
@@ -21,6 +51,10 @@ const addAgent = async (req, res) => {
     const agent = new Agent({ name, email, mobile, password: hashedPassword , status });
 
     await agent.save(); // Save the agent to the database
+    annotateAudit(res, { targetId: agent._id, after: snapshot(agent, AGENT_AUDIT_FIELDS) });
+
+    // Ask the agent to confirm the address; a mail failure shouldn't undo the creation
+    sendVerificationEmail(agent).catch((err) => console.error("Verification Email Error:", err));
 
     res.status(201).json({ message: "Agent added successfully" }); // Respond with success message
   } catch (err) {
@@ -29,28 +63,98 @@ const addAgent = async (req, res) => {
   }
 };
 
-const updateAgent = async (req,res) => {
-   try {
-    const { agent } = req.body; 
-    try {
-      let user =  await Agent.findByIdAndUpdate(agent.id,{
-        name:agent.name,
-        email:agent.email,
-        mobile:agent.mobile,
-        status:agent.status
-      },
-      {new:true} 
-        
-  )     
-      res.json(user)
-    } catch (error) {
-        console.error("Something Went Wrong" , error)
-        res.status(500).json({ message: "Server error" });
-    }
-   } catch (error) {
-    console.error("Agent Not Found" , error)
+// Function to update an agent's details (admin/supervisor - agents edit themselves via PATCH /api/me)
+const updateAgent = async (req, res) => {
+  try {
+    const { agent } = req.body;
+    if (!agent || !agent.id) {
+      return res.status(400).json({ message: "Agent ID is required" });
+    }
+
+    if (agent.email !== undefined) {
+      const emailError = validateEmail(agent.email);
+      if (emailError) {
+        return res.status(400).json({ message: emailError });
+      }
+
+      const existing = await findAccountByEmail(agent.email, { withDeleted: true });
+      if (existing && existing._id.toString() !== String(agent.id)) {
+        return res.status(400).json({ message: "An account with this email already exists" });
+      }
+    }
+
+    if (agent.mobile !== undefined) {
+      const mobileError = validateMobile(agent.mobile);
+      if (mobileError) {
+        return res.status(400).json({ message: mobileError });
+      }
+    }
+
+    if (agent.status !== undefined && !AGENT_STATUSES.includes(agent.status)) {
+      return res.status(400).json({ message: `Invalid status. Must be one of: ${AGENT_STATUSES.join(", ")}` });
+    }
+
+    if (agent.weight !== undefined && (typeof agent.weight !== "number" || agent.weight < 0 || agent.weight > MAX_AGENT_WEIGHT)) {
+      return res.status(400).json({ message: `Weight must be a number between 0 and ${MAX_AGENT_WEIGHT}` });
+    }
+
+    if (agent.maxOpenTasks !== undefined && agent.maxOpenTasks !== null &&
+      (!Number.isInteger(agent.maxOpenTasks) || agent.maxOpenTasks < 0 || agent.maxOpenTasks > MAX_OPEN_TASKS_LIMIT)) {
+      return res.status(400).json({ message: `maxOpenTasks must be null (no limit) or a whole number from 0 to ${MAX_OPEN_TASKS_LIMIT}` });
+    }
+
+    if (agent.skills !== undefined) {
+      if (!Array.isArray(agent.skills) || agent.skills.length > MAX_AGENT_SKILLS) {
+        return res.status(400).json({ message: `Skills must be an array of at most ${MAX_AGENT_SKILLS} tags` });
+      }
+      const skillError = agent.skills.map(validateSkill).find(Boolean);
+      if (skillError) {
+        return res.status(400).json({ message: skillError });
+      }
+    }
+
+    const existingAgent = await Agent.findById(agent.id);
+    if (!existingAgent) {
+      return res.status(404).json({ message: "Agent not found" });
+    }
+
+    // Decommissioning hands over open work and signs the agent out, so it only happens through offboarding
+    if (agent.status === "Decommissioned" && existingAgent.status !== "Decommissioned") {
+      return res.status(400).json({
+        message: "Use POST /api/agents/:id/offboard to decommission an agent",
+        code: "USE_OFFBOARD"
+      });
+    }
+
+    const user = await Agent.findByIdAndUpdate(agent.id, {
+      name: agent.name,
+      email: agent.email,
+      mobile: agent.mobile,
+      status: agent.status,
+      weight: agent.weight,
+      maxOpenTasks: agent.maxOpenTasks,
+      skills: agent.skills ? [...new Set(agent.skills.map(normalizeSkill))] : undefined
+    },
+    { new: true, runValidators: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: "Agent not found" });
+    }
+
+    annotateAudit(res, {
+      targetId: user._id,
+      before: snapshot(existingAgent, AGENT_AUDIT_FIELDS),
+      after: snapshot(user, AGENT_AUDIT_FIELDS),
+    });
+
+    res.json(user)
+  } catch (error) {
+    console.error("Agent Update Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid agent ID" });
+    }
     res.status(500).json({ message: "Server error" });
-   }
+  }
 }
 
 // Function to fetch all agents
@@ -75,17 +179,350 @@ const deleteAgent = async (req, res) => {
       return res.status(404).json({ message: "Agent not found" });
     }
 
-    // Delete all tasks associated with the agent (Make sure Task model is imported)
-    await Task.deleteMany({ agent: id });
+    // Agents are offboarded first so their open work has been handed over
+    if (agent.status !== "Decommissioned") {
+      return res.status(409).json({
+        message: "Offboard the agent before deleting them (POST /api/agents/:id/offboard)",
+        code: "AGENT_NOT_DECOMMISSIONED"
+      });
+    }
+
+    // Tasks left with a trashed agent would never reach the unassigned queue
+    const openTasks = (await getOpenTaskCounts([agent._id])).get(agent._id.toString()) || 0;
+    if (openTasks > 0) {
+      return res.status(409).json({
+        message: `The agent still has ${openTasks} open task(s). Reassign them first (POST /api/agents/:id/reassign-open)`,
+        code: "AGENT_HAS_OPEN_TASKS",
+        openTasks
+      });
+    }
 
-    // Delete the agent from the database
-    await Agent.findByIdAndDelete(id);
+    // Their tasks stay in place so completion history and analytics keep their attribution
+    await agent.softDelete(getRequestActor(req));
+    await revokeAllSessions(agent._id, "account-deleted");
 
-    res.json({ message: "Agent and associated tasks deleted successfully" }); // Respond with success message
+    annotateAudit(res, { before: snapshot(agent, AGENT_AUDIT_FIELDS) });
+
+    res.json({ message: "Agent moved to trash" }); // Respond with success message
   } catch (err) {
     console.error("Delete Agent Error:", err);
     res.status(500).json({ message: "Server error" }); // Handle server errors
   }
 };
 
-module.exports = { addAgent, getAgents, deleteAgent, updateAgent }; // Export the functions for use in routes
+// Function to get an agent's working hours, capacity and whether they can take work right now
+const getAgentSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (req.user.role === "agent" && String(req.user.id) !== id) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const agent = await Agent.findById(id);
+    if (!agent) {
+      return res.status(404).json({ message: "Agent not found" });
+    }
+
+    const openTasks = (await getOpenTaskCounts([agent._id])).get(agent._id.toString()) || 0;
+
+    res.json({
+      agentId: agent._id,
+      timezone: agent.schedule.timezone,
+      hours: agent.schedule.hours,
+      maxOpenTasks: agent.maxOpenTasks,
+      openTasks,
+      onShift: isOnShift(agent)
+    });
+  } catch (err) {
+    console.error("Get Agent Schedule Error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid agent ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Function to replace an agent's weekly working hours
+const updateAgentSchedule = async (req, res) => {
+  try {
+    const { timezone, hours } = req.body;
+
+    const scheduleError = validateSchedule({ timezone, hours });
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ message: "Agent not found" });
+    }
+
+    const before = agent.toObject().schedule;
+    agent.schedule = {
+      timezone,
+      hours: hours.map(({ day, start, end }) => ({ day, start, end }))
+    };
+    await agent.save();
+
+    const after = agent.toObject().schedule;
+    annotateAudit(res, { before, after });
+
+    res.json({ message: "Schedule updated", agentId: agent._id, ...after, onShift: isOnShift(agent) });
+  } catch (err) {
+    console.error("Update Agent Schedule Error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid agent ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Function to offboard an agent: decommission them and spread their open tasks over the available agents
+// (tasks nobody has room for go to the unassigned queue)
+const offboardAgent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const agent = await Agent.findById(id);
+    if (!agent) {
+      return res.status(404).json({ message: "Agent not found" });
+    }
+
+    const [openTasks, completedCount] = await Promise.all([
+      Task.find({ agent: agent._id, status: { $in: OPEN_TASK_STATUSES } }).sort({ createdAt: 1 }),
+      Task.countDocuments({ agent: agent._id, status: "completed" })
+    ]);
+
+    const assignments = openTasks.length > 0
+      ? await planRedistribution(openTasks, { exclude: [agent._id] })
+      : [];
+
+    const before = snapshot(agent, AGENT_AUDIT_FIELDS);
+    if (agent.status !== "Decommissioned") {
+      agent.status = "Decommissioned";
+      await agent.save();
+    }
+    await revokeAllSessions(agent._id, "offboarded");
+
+    const reassigned = await applyReassignments(assignments, { req, reason: reason || "Agent offboarded", source: "bulk" });
+
+    // Where the work went, with names so the summary can be shown as-is
+    const targets = new Map(assignments.filter(({ agent: target }) => target).map(({ agent: target }) => [String(target._id), target]));
+    const unassignedCount = reassigned.filter(({ to }) => !to).length;
+    const byAgent = Object.values(reassigned.filter(({ to }) => to).reduce((acc, { to }) => {
+      const key = String(to);
+      const target = targets.get(key);
+      acc[key] = acc[key] || { agentId: to, name: target.name, email: target.email, count: 0 };
+      acc[key].count++;
+      return acc;
+    }, {}));
+
+    annotateAudit(res, {
+      before,
+      after: snapshot(agent, AGENT_AUDIT_FIELDS),
+      details: { reason, reassignedCount: reassigned.length, byAgent, unassignedCount, completedTasksRetained: completedCount },
+    });
+
+    res.json({
+      message: `Agent offboarded. Reassigned ${reassigned.length} open task(s)`,
+      agent: { _id: agent._id, name: agent.name, email: agent.email, status: agent.status },
+      reassignedCount: reassigned.length - unassignedCount,
+      unassignedCount, // No available agent had room; waiting in the unassigned queue
+      skippedCount: openTasks.length - reassigned.length, // Changed by someone else meanwhile
+      completedTasksRetained: completedCount,
+      byAgent,
+      reassigned
+    });
+  } catch (err) {
+    if (err instanceof AssignmentError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Offboard Agent Error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid agent ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Function to hand all open tasks of an agent over to one agent, or spread them over the available agents
+const reassignOpenTasks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { agentId, reason } = req.body;
+
+    const agent = await Agent.findById(id);
+    if (!agent) {
+      return res.status(404).json({ message: "Agent not found" });
+    }
+
+    if (agentId && String(agentId) === String(agent._id)) {
+      return res.status(400).json({ message: "Target agent must be a different agent" });
+    }
+
+    const tasks = await Task.find({ agent: agent._id, status: { $in: OPEN_TASK_STATUSES } }).sort({ createdAt: 1 });
+    if (tasks.length === 0) {
+      return res.json({ message: "Agent has no open tasks", reassignedCount: 0, reassigned: [] });
+    }
+
+    let assignments;
+    if (agentId) {
+      const target = await getAssignableAgent(agentId, { requireAvailable: true, incoming: tasks.length });
+      assignments = tasks.map((task) => ({ task, agent: target }));
+    } else {
+      // Tasks nobody has room for stay where they are and are reported as skipped
+      assignments = (await planRedistribution(tasks, { exclude: [agent._id] })).filter(({ agent: target }) => target);
+    }
+
+    const reassigned = await applyReassignments(assignments, { req, reason, source: "bulk" });
+
+    // Per-agent totals so the caller can see where the work went
+    const byAgent = reassigned.reduce((acc, { to }) => {
+      acc[to] = (acc[to] || 0) + 1;
+      return acc;
+    }, {});
+
+    annotateAudit(res, { details: { reason, target: agentId || "distributed", byAgent, reassignedCount: reassigned.length } });
+
+    res.json({
+      message: `Reassigned ${reassigned.length} open task(s)`,
+      reassignedCount: reassigned.length,
+      skippedCount: tasks.length - reassigned.length,
+      byAgent,
+      reassigned
+    });
+  } catch (err) {
+    if (err instanceof AssignmentError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Reassign Open Tasks Error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid agent ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Function to invite an agent - they create their own password by redeeming the emailed link
+const inviteAgent = async (req, res) => {
+  try {
+    const { email, name, status, expiresInDays } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const emailError = validateEmail(email);
+    if (emailError) {
+      return res.status(400).json({ message: emailError });
+    }
+
+    if (status && !AGENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Must be one of: ${AGENT_STATUSES.join(", ")}` });
+    }
+
+    if (expiresInDays !== undefined &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_INVITE_TTL_DAYS)) {
+      return res.status(400).json({ message: `expiresInDays must be a whole number from 1 to ${MAX_INVITE_TTL_DAYS}` });
+    }
+
+    if (await isEmailTaken(email)) {
+      return res.status(400).json({ message: "An account with this email already exists" });
+    }
+
+    const invitation = await createInvitation({
+      email: email.trim(),
+      name,
+      status,
+      expiresInDays,
+      invitedBy: req.user.id,
+    });
+    annotateAudit(res, { targetId: invitation._id, details: { email: invitation.email } });
+
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        name: invitation.name,
+        status: invitation.status,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error("Invite Agent Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Function to list invitations with their current state
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .sort({ createdAt: -1 })
+      .populate("invitedBy", "name email")
+      .populate("agent", "name email")
+      .select("-tokenHash")
+      .lean();
+
+    const now = new Date();
+    const formatted = invitations.map((invitation) => {
+      let state = "pending";
+      if (invitation.acceptedAt) state = "accepted";
+      else if (invitation.revokedAt) state = "revoked";
+      else if (invitation.expiresAt <= now) state = "expired";
+
+      return { ...invitation, state };
+    });
+
+    res.json(formatted);
+  } catch (err) {
+    console.error("Fetch Invitations Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Function to revoke a pending invitation
+const revokeInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ message: "Invitation has already been accepted" });
+    }
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+    }
+    annotateAudit(res, { details: { email: invitation.email } });
+
+    res.json({ message: "Invitation revoked successfully" });
+  } catch (err) {
+    console.error("Revoke Invitation Error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ message: "Invalid invitation ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  addAgent,
+  getAgents,
+  deleteAgent,
+  updateAgent,
+  offboardAgent,
+  reassignOpenTasks,
+  getAgentSchedule,
+  updateAgentSchedule,
+  inviteAgent,
+  getInvitations,
+  revokeInvitation
+}; // Export the functions for use in routes
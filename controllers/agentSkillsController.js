@@ -0,0 +1,251 @@
+const Agent = require("../models/Agent");
+const { CATEGORIES } = require("../services/categorizationService");
+const { annotateAudit } = require("../services/auditService");
+const { MAX_AGENT_SKILLS, validateSkill, normalizeSkill } = require("../utils/validators");
+
+const MIN_PROFICIENCY = 1;
+const MAX_PROFICIENCY = 5;
+
+/**
+ * Skills and proficiencies of an agent as plain JSON (also used for audit snapshots)
+ */
+const formatSkills = (agent) => ({
+  agentId: agent._id,
+  skills: [...agent.skills],
+  categoryProficiency: Object.fromEntries(agent.categoryProficiency || []),
+});
+
+const validateLevel = (level) =>
+  Number.isInteger(level) && level >= MIN_PROFICIENCY && level <= MAX_PROFICIENCY
+    ? null
+    : `Proficiency must be a whole number from ${MIN_PROFICIENCY} to ${MAX_PROFICIENCY}`;
+
+/**
+ * Load the agent named in the route, answering 404 when it doesn't exist
+ */
+const loadAgent = async (req, res) => {
+  const agent = await Agent.findById(req.params.id);
+  if (!agent) {
+    res.status(404).json({ message: "Agent not found" });
+    return null;
+  }
+  return agent;
+};
+
+const handleError = (label, error, res) => {
+  console.error(`${label} Error:`, error);
+  if (error.name === "CastError") {
+    return res.status(400).json({ message: "Invalid agent ID" });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ message: "Validation error", errors: error.errors });
+  }
+  res.status(500).json({ message: "Server error" });
+};
+
+/**
+ * Get an agent's skill tags and category proficiencies
+ * @route GET /api/agents/:id/skills
+ * @access Private (admin, supervisor, viewer, agent for themselves)
+ */
+const getAgentSkills = async (req, res) => {
+  try {
+    if (req.user.role === "agent" && String(req.user.id) !== req.params.id) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const agent = await loadAgent(req, res);
+    if (!agent) return;
+
+    res.json(formatSkills(agent));
+  } catch (error) {
+    handleError("Get Agent Skills", error, res);
+  }
+};
+
+/**
+ * Replace an agent's skill tags and/or category proficiencies
+ * @route PUT /api/agents/:id/skills
+ * @access Private (admin, supervisor)
+ * @body skills - Array of tags
+ * @body categoryProficiency - { [category]: 1-5 }
+ */
+const replaceAgentSkills = async (req, res) => {
+  try {
+    const { skills, categoryProficiency } = req.body;
+
+    if (skills === undefined && categoryProficiency === undefined) {
+      return res.status(400).json({ message: "Provide skills and/or categoryProficiency" });
+    }
+
+    if (skills !== undefined) {
+      if (!Array.isArray(skills) || skills.length > MAX_AGENT_SKILLS) {
+        return res.status(400).json({ message: `Skills must be an array of at most ${MAX_AGENT_SKILLS} tags` });
+      }
+      const skillError = skills.map(validateSkill).find(Boolean);
+      if (skillError) {
+        return res.status(400).json({ message: skillError });
+      }
+    }
+
+    if (categoryProficiency !== undefined) {
+      if (!categoryProficiency || typeof categoryProficiency !== "object" || Array.isArray(categoryProficiency)) {
+        return res.status(400).json({ message: "categoryProficiency must be an object of category: level" });
+      }
+      const invalidCategories = Object.keys(categoryProficiency).filter((category) => !CATEGORIES.includes(category));
+      if (invalidCategories.length > 0) {
+        return res.status(400).json({ message: `Invalid category: ${invalidCategories.join(", ")}. Must be any of: ${CATEGORIES.join(", ")}` });
+      }
+      const levelError = Object.values(categoryProficiency).map(validateLevel).find(Boolean);
+      if (levelError) {
+        return res.status(400).json({ message: levelError });
+      }
+    }
+
+    const agent = await loadAgent(req, res);
+    if (!agent) return;
+
+    const before = formatSkills(agent);
+    if (skills !== undefined) agent.skills = [...new Set(skills.map(normalizeSkill))];
+    if (categoryProficiency !== undefined) agent.categoryProficiency = categoryProficiency;
+    await agent.save();
+
+    annotateAudit(res, { before, after: formatSkills(agent) });
+
+    res.json(formatSkills(agent));
+  } catch (error) {
+    handleError("Replace Agent Skills", error, res);
+  }
+};
+
+/**
+ * Add a skill tag to an agent
+ * @route POST /api/agents/:id/skills
+ * @access Private (admin, supervisor)
+ * @body skill - Tag to add
+ */
+const addAgentSkill = async (req, res) => {
+  try {
+    const skillError = validateSkill(req.body.skill);
+    if (skillError) {
+      return res.status(400).json({ message: skillError });
+    }
+
+    const agent = await loadAgent(req, res);
+    if (!agent) return;
+
+    const skill = normalizeSkill(req.body.skill);
+    if (agent.skills.includes(skill)) {
+      return res.status(409).json({ message: "Agent already has this skill" });
+    }
+    if (agent.skills.length >= MAX_AGENT_SKILLS) {
+      return res.status(400).json({ message: `Agents can have at most ${MAX_AGENT_SKILLS} skills` });
+    }
+
+    const before = formatSkills(agent);
+    agent.skills.push(skill);
+    await agent.save();
+
+    annotateAudit(res, { before, after: formatSkills(agent) });
+
+    res.status(201).json(formatSkills(agent));
+  } catch (error) {
+    handleError("Add Agent Skill", error, res);
+  }
+};
+
+/**
+ * Remove a skill tag from an agent
+ * @route DELETE /api/agents/:id/skills/:skill
+ * @access Private (admin, supervisor)
+ */
+const removeAgentSkill = async (req, res) => {
+  try {
+    const agent = await loadAgent(req, res);
+    if (!agent) return;
+
+    const skill = normalizeSkill(req.params.skill);
+    if (!agent.skills.includes(skill)) {
+      return res.status(404).json({ message: "Agent does not have this skill" });
+    }
+
+    const before = formatSkills(agent);
+    agent.skills.pull(skill);
+    await agent.save();
+
+    annotateAudit(res, { before, after: formatSkills(agent) });
+
+    res.json(formatSkills(agent));
+  } catch (error) {
+    handleError("Remove Agent Skill", error, res);
+  }
+};
+
+/**
+ * Set an agent's proficiency in a task category
+ * @route PUT /api/agents/:id/proficiency/:category
+ * @access Private (admin, supervisor)
+ * @body level - 1 (can handle) to 5 (expert)
+ */
+const setCategoryProficiency = async (req, res) => {
+  try {
+    const { category } = req.params;
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Invalid category. Must be one of: ${CATEGORIES.join(", ")}` });
+    }
+
+    const levelError = validateLevel(req.body.level);
+    if (levelError) {
+      return res.status(400).json({ message: levelError });
+    }
+
+    const agent = await loadAgent(req, res);
+    if (!agent) return;
+
+    const before = formatSkills(agent);
+    agent.categoryProficiency.set(category, req.body.level);
+    await agent.save();
+
+    annotateAudit(res, { before, after: formatSkills(agent) });
+
+    res.json(formatSkills(agent));
+  } catch (error) {
+    handleError("Set Category Proficiency", error, res);
+  }
+};
+
+/**
+ * Remove an agent's proficiency in a task category
+ * @route DELETE /api/agents/:id/proficiency/:category
+ * @access Private (admin, supervisor)
+ */
+const removeCategoryProficiency = async (req, res) => {
+  try {
+    const agent = await loadAgent(req, res);
+    if (!agent) return;
+
+    const { category } = req.params;
+    if (!agent.categoryProficiency.has(category)) {
+      return res.status(404).json({ message: "Agent has no proficiency in this category" });
+    }
+
+    const before = formatSkills(agent);
+    agent.categoryProficiency.delete(category);
+    await agent.save();
+
+    annotateAudit(res, { before, after: formatSkills(agent) });
+
+    res.json(formatSkills(agent));
+  } catch (error) {
+    handleError("Remove Category Proficiency", error, res);
+  }
+};
+
+module.exports = {
+  getAgentSkills,
+  replaceAgentSkills,
+  addAgentSkill,
+  removeAgentSkill,
+  setCategoryProficiency,
+  removeCategoryProficiency,
+};
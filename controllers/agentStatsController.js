@@ -1,5 +1,13 @@
 const Task = require("../models/Task");
 const Agent = require("../models/Agent");
+const TaskEvent = require("../models/TaskEvent");
+const { TASK_STATUSES, OPEN_TASK_STATUSES, STATUS_COUNT_KEYS } = require("../utils/taskStatus");
+
+/**
+ * Agents may only read their own stats; other roles may read any agent
+ */
+const canViewAgent = (user, agentId) =>
+  user.role !== "agent" || String(user.id) === String(agentId);
 
 /**
  * Get agent statistics
@@ -14,6 +22,10 @@ const getAgentStats = async (req, res) => {
       return res.status(400).json({ message: "Agent ID is required" });
     }
 
+    if (!canViewAgent(req.user, agentId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // Verify agent exists
     const agent = await Agent.findById(agentId);
     if (!agent) {
@@ -28,10 +40,12 @@ const getAgentStats = async (req, res) => {
     const pendingTasks = tasks.filter((t) => t.status === "pending").length;
     const inProgressTasks = tasks.filter((t) => t.status === "in-progress").length;
     const completedTasks = tasks.filter((t) => t.status === "completed").length;
+    const cancelledTasks = tasks.filter((t) => t.status === "cancelled").length;
+    const openTasks = tasks.filter((t) => OPEN_TASK_STATUSES.includes(t.status)).length;
 
-    // Calculate completion rate
+    // Calculate completion rate (cancelled tasks don't count against it)
     const completionRate =
-      totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(1) : 0;
+      totalTasks - cancelledTasks > 0 ? ((completedTasks / (totalTasks - cancelledTasks)) * 100).toFixed(1) : 0;
 
     // Get today's date range
     const today = new Date();
@@ -81,6 +95,12 @@ const getAgentStats = async (req, res) => {
       pendingTasks,
       inProgressTasks,
       completedTasks,
+      openTasks,
+      cancelledTasks,
+      byStatus: Object.fromEntries(TASK_STATUSES.map((status) => [
+        STATUS_COUNT_KEYS[status],
+        tasks.filter((t) => t.status === status).length,
+      ])),
       completionRate: parseFloat(completionRate),
       todayTasks,
       todayCompleted,
@@ -115,6 +135,10 @@ const getAgentPerformance = async (req, res) => {
       return res.status(400).json({ message: "Agent ID is required" });
     }
 
+    if (!canViewAgent(req.user, agentId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // Verify agent exists
     const agent = await Agent.findById(agentId);
     if (!agent) {
@@ -155,7 +179,8 @@ const getAgentPerformance = async (req, res) => {
     // Calculate performance score (0-100)
     const totalTasks = tasks.length;
     const completedTasks = tasks.filter((t) => t.status === "completed").length;
-    const completionRate = totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
+    const tasksToComplete = totalTasks - tasks.filter((t) => t.status === "cancelled").length;
+    const completionRate = tasksToComplete > 0 ? (completedTasks / tasksToComplete) * 100 : 0;
 
     // Average completion time factor (lower is better, max 48 hours = 100 points)
     const completedTasksWithTime = tasks.filter(
@@ -204,6 +229,55 @@ const getAgentPerformance = async (req, res) => {
   }
 };
 
+/**
+ * Turn a task event into an activity type and message for an agent's feed
+ */
+const describeEvent = (event, agentId, label) => {
+  switch (event.type) {
+    case "created":
+      return { activityType: "assigned", message: `New task assigned: ${label}` };
+    case "reassigned":
+      return String(event.to) === String(agentId)
+        ? { activityType: "assigned", message: `Task assigned: ${label}` }
+        : { activityType: "unassigned", message: `Task reassigned to another agent: ${label}` };
+    case "status_changed":
+      if (event.to === "completed") {
+        return { activityType: "completed", message: `Completed task: ${label}` };
+      }
+      if (event.to === "in-progress") {
+        return { activityType: "in-progress", message: `Started working on: ${label}` };
+      }
+      if (event.to === "cancelled") {
+        return { activityType: "cancelled", message: `Cancelled task: ${label}` };
+      }
+      return { activityType: event.to, message: `Moved to ${event.to}: ${label}` };
+    case "category_changed":
+      return { activityType: "categorized", message: `Categorized as ${event.to}: ${label}` };
+    case "notes_changed":
+      return { activityType: "updated", message: `Updated notes: ${label}` };
+    case "details_changed":
+      return { activityType: "updated", message: `Updated ${event.field}: ${label}` };
+    case "deleted":
+      return { activityType: "deleted", message: `Deleted task: ${label}` };
+    case "restored":
+      return { activityType: "restored", message: `Restored task: ${label}` };
+    case "priority_changed":
+      return { activityType: "updated", message: `Priority set to ${event.to}: ${label}` };
+    case "due_date_changed":
+      return { activityType: "updated", message: `Due date changed: ${label}` };
+    case "sla_breached":
+      return { activityType: "sla_breached", message: `SLA breached: ${label}` };
+    case "follow_up_changed":
+      return event.to
+        ? { activityType: "updated", message: `Follow-up scheduled: ${label}` }
+        : { activityType: "updated", message: `Follow-up cleared: ${label}` };
+    case "follow_up_due":
+      return { activityType: "follow_up_due", message: `Follow-up due: ${label}` };
+    default:
+      return { activityType: event.type, message: label };
+  }
+};
+
 /**
  * Get agent activity feed
  * @route GET /api/agent/activity/:agentId
@@ -220,54 +294,57 @@ const getAgentActivity = async (req, res) => {
       return res.status(400).json({ message: "Agent ID is required" });
     }
 
+    if (!canViewAgent(req.user, agentId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // Verify agent exists
     const agent = await Agent.findById(agentId);
     if (!agent) {
       return res.status(404).json({ message: "Agent not found" });
     }
 
-    // Get all tasks for this agent, sorted by updatedAt
-    const tasks = await Task.find({ agent: agentId })
-      .sort({ updatedAt: -1 })
+    // Events where the task belonged to this agent afterwards, plus tasks moved away from them
+    const events = await TaskEvent.find({
+      $or: [
+        { agent: agent._id },
+        { type: "reassigned", from: agent._id },
+      ],
+    })
+      .sort({ createdAt: -1 })
       .limit(limitValue)
+      .populate("task", "notes firstName status completedDate createdAt updatedAt")
+      .populate("actor", "name email")
       .lean();
 
     // Format activity feed
-    const activities = tasks.map((task) => {
-      const activity = {
-        id: task._id,
+    const activities = events.map((event) => {
+      const task = event.task || {}; // Null once the task has been deleted
+      const label = task.notes || task.firstName || event.taskLabel;
+      const { activityType, message } = describeEvent(event, agent._id, label);
+
+      return {
+        id: event._id,
         type: "task",
-        taskId: task._id,
+        taskId: task._id || null,
         taskNotes: task.notes,
         taskFirstName: task.firstName,
         status: task.status,
         createdAt: task.createdAt,
         updatedAt: task.updatedAt,
         completedDate: task.completedDate,
+        eventType: event.type,
+        from: event.from,
+        to: event.to,
+        actor: event.actor,
+        source: event.source,
+        activityType,
+        timestamp: event.createdAt,
+        message,
       };
-
-      // Determine activity type
-      if (task.status === "completed" && task.completedDate) {
-        activity.activityType = "completed";
-        activity.timestamp = task.completedDate;
-        activity.message = `Completed task: ${task.notes || task.firstName}`;
-      } else if (task.status === "in-progress") {
-        activity.activityType = "in-progress";
-        activity.timestamp = task.updatedAt;
-        activity.message = `Started working on: ${task.notes || task.firstName}`;
-      } else {
-        activity.activityType = "assigned";
-        activity.timestamp = task.createdAt;
-        activity.message = `New task assigned: ${task.notes || task.firstName}`;
-      }
-
-      return activity;
     });
 
-    // Sort by timestamp (most recent first)
-    activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-    res.json(activities.slice(0, limitValue));
+    res.json(activities);
   } catch (err) {
     console.error("Agent Activity Error:", err);
     if (err.name === "CastError") {
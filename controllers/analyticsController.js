@@ -1,26 +1,40 @@
 const Task = require("../models/Task");
 const Agent = require("../models/Agent");
+const {
+  TASK_STATUSES,
+  OPEN_TASK_STATUSES,
+  STATUS_COUNT_KEYS,
+  statusCounters,
+  statusCountProjection
+} = require("../utils/taskStatus");
 
 /**
  * Get overall statistics
- * Returns total tasks, completed, pending, in-progress, and completion rate
+ * Returns total tasks, completed, pending, in-progress, open and cancelled counts,
+ * counts for every status, and the completion rate (cancelled tasks don't count against it)
  */
 const getOverallStats = async (req, res) => {
   try {
-    const totalTasks = await Task.countDocuments();
-    const completedTasks = await Task.countDocuments({ status: "completed" });
-    const pendingTasks = await Task.countDocuments({ status: "pending" });
-    const inProgressTasks = await Task.countDocuments({ status: "in-progress" });
-    
-    const completionRate = totalTasks > 0 
-      ? parseFloat(((completedTasks / totalTasks) * 100).toFixed(2)) 
+    const counts = await Task.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]);
+    const countOf = (status) => (counts.find((group) => group._id === status) || { count: 0 }).count;
+
+    const totalTasks = counts.reduce((sum, group) => sum + group.count, 0);
+    const completedTasks = countOf("completed");
+    const cancelledTasks = countOf("cancelled");
+    const openTasks = OPEN_TASK_STATUSES.reduce((sum, status) => sum + countOf(status), 0);
+
+    const completionRate = totalTasks - cancelledTasks > 0 
+      ? parseFloat(((completedTasks / (totalTasks - cancelledTasks)) * 100).toFixed(2)) 
       : 0;
     
     res.json({
       totalTasks,
       completedTasks,
-      pendingTasks,
-      inProgressTasks,
+      pendingTasks: countOf("pending"),
+      inProgressTasks: countOf("in-progress"),
+      openTasks,
+      cancelledTasks,
+      byStatus: Object.fromEntries(TASK_STATUSES.map((status) => [STATUS_COUNT_KEYS[status], countOf(status)])),
       completionRate
     });
   } catch (err) {
@@ -40,15 +54,7 @@ const getTasksByAgent = async (req, res) => {
         $group: {
           _id: "$agent",
           totalTasks: { $sum: 1 },
-          completed: { 
-            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } 
-          },
-          pending: { 
-            $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } 
-          },
-          inProgress: { 
-            $sum: { $cond: [{ $eq: ["$status", "in-progress"] }, 1, 0] } 
-          }
+          ...statusCounters() // completed, pending, inProgress, onHold, ...
         }
       },
       {
@@ -67,9 +73,7 @@ const getTasksByAgent = async (req, res) => {
           agentName: "$agentInfo.name",
           agentEmail: "$agentInfo.email",
           totalTasks: 1,
-          completed: 1,
-          pending: 1,
-          inProgress: 1
+          ...statusCountProjection()
         }
       },
       {
@@ -86,7 +90,7 @@ const getTasksByAgent = async (req, res) => {
 
 /**
  * Get task status trends over time (last 30 days)
- * Returns daily task counts by status
+ * Returns daily task counts by (current) status
  */
 const getTaskTrends = async (req, res) => {
   try {
@@ -119,15 +123,7 @@ const getTaskTrends = async (req, res) => {
       {
         $group: {
           _id: "$_id.date",
-          pending: {
-            $sum: { $cond: [{ $eq: ["$_id.status", "pending"] }, "$count", 0] }
-          },
-          inProgress: {
-            $sum: { $cond: [{ $eq: ["$_id.status", "in-progress"] }, "$count", 0] }
-          },
-          completed: {
-            $sum: { $cond: [{ $eq: ["$_id.status", "completed"] }, "$count", 0] }
-          }
+          ...statusCounters("$_id.status", "$count")
         }
       },
       {
@@ -136,9 +132,7 @@ const getTaskTrends = async (req, res) => {
       {
         $project: {
           date: "$_id",
-          pending: 1,
-          inProgress: 1,
-          completed: 1
+          ...statusCountProjection()
         }
       }
     ]);
@@ -164,6 +158,9 @@ const getAgentPerformance = async (req, res) => {
           completedTasks: {
             $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] }
           },
+          cancelledTasks: {
+            $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] }
+          },
           // Calculate average completion time in hours
           avgCompletionTime: {
             $avg: {
@@ -204,12 +201,14 @@ const getAgentPerformance = async (req, res) => {
           agentEmail: "$agentInfo.email",
           totalTasks: 1,
           completedTasks: 1,
+          cancelledTasks: 1,
+          // Cancelled tasks were never meant to be completed, so they don't count against the rate
           completionRate: {
             $cond: [
-              { $gt: ["$totalTasks", 0] },
+              { $gt: [{ $subtract: ["$totalTasks", "$cancelledTasks"] }, 0] },
               {
                 $multiply: [
-                  { $divide: ["$completedTasks", "$totalTasks"] },
+                  { $divide: ["$completedTasks", { $subtract: ["$totalTasks", "$cancelledTasks"] }] },
                   100
                 ]
               },
@@ -256,11 +255,117 @@ const getRecentActivity = async (req, res) => {
   }
 };
 
+/**
+ * Add the compliance rate to a group of SLA counters
+ * Only tasks whose outcome is decided (met or breached) count towards the rate.
+ */
+const withComplianceRate = ({ _id, ...counts }) => {
+  const decided = counts.met + counts.breached;
+  return {
+    ...counts,
+    complianceRate: decided > 0 ? parseFloat(((counts.met / decided) * 100).toFixed(2)) : null
+  };
+};
+
+/**
+ * Get SLA compliance per agent and per category
+ * Only tasks with a due date count, cancelled ones excepted. Completed by the due date = met;
+ * completed late or still open past it = breached; open tasks before their due date are still running.
+ * @query from, to - Only tasks created in this range (ISO dates)
+ */
+const getSlaCompliance = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const match = { dueAt: { $ne: null }, status: { $ne: "cancelled" } };
+
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+      if (Object.values(match.createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+    }
+
+    const now = new Date();
+    const counters = {
+      total: { $sum: 1 },
+      met: { $sum: { $cond: [{ $eq: ["$slaOutcome", "met"] }, 1, 0] } },
+      breached: { $sum: { $cond: [{ $eq: ["$slaOutcome", "breached"] }, 1, 0] } },
+      running: { $sum: { $cond: [{ $eq: ["$slaOutcome", "running"] }, 1, 0] } },
+      atRisk: {
+        $sum: {
+          $cond: [
+            { $and: [{ $eq: ["$slaOutcome", "running"] }, { $ne: ["$atRiskAt", null] }, { $lte: ["$atRiskAt", now] }] },
+            1,
+            0
+          ]
+        }
+      }
+    };
+
+    const [result] = await Task.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          slaOutcome: {
+            $switch: {
+              branches: [
+                {
+                  case: { $eq: ["$status", "completed"] },
+                  then: { $cond: [{ $lte: [{ $ifNull: ["$completedDate", now] }, "$dueAt"] }, "met", "breached"] }
+                },
+                { case: { $lt: ["$dueAt", now] }, then: "breached" }
+              ],
+              default: "running"
+            }
+          }
+        }
+      },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...counters } }],
+          byAgent: [{ $group: { _id: "$agent", ...counters } }],
+          byCategory: [{ $group: { _id: "$category", ...counters } }, { $sort: { _id: 1 } }]
+        }
+      }
+    ]);
+
+    // Agents in the trash keep their record, so look them up including deleted ones
+    const agentIds = result.byAgent.filter((group) => group._id).map((group) => group._id);
+    const agents = await Agent.find({ _id: { $in: agentIds } }).withDeleted().select("name email").lean();
+    const agentsById = new Map(agents.map((agent) => [String(agent._id), agent]));
+
+    const empty = { total: 0, met: 0, breached: 0, running: 0, atRisk: 0 };
+
+    res.json({
+      overall: withComplianceRate(result.overall[0] || empty),
+      byAgent: result.byAgent
+        .map((group) => {
+          const agent = group._id ? agentsById.get(String(group._id)) : null;
+          return {
+            agentId: group._id || null, // null: tasks in the unassigned queue
+            agentName: agent ? agent.name : null,
+            agentEmail: agent ? agent.email : null,
+            ...withComplianceRate(group)
+          };
+        })
+        .sort((a, b) => b.breached - a.breached),
+      byCategory: result.byCategory.map((group) => ({ category: group._id, ...withComplianceRate(group) })),
+      generatedAt: now
+    });
+  } catch (err) {
+    console.error("Analytics Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 module.exports = {
   getOverallStats,
   getTasksByAgent,
   getTaskTrends,
   getAgentPerformance,
-  getRecentActivity
+  getRecentActivity,
+  getSlaCompliance
 };
 
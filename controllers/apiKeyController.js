@@ -0,0 +1,120 @@
+const ApiKey = require("../models/ApiKey");
+const { createApiKey, MAX_API_KEY_TTL_DAYS } = require("../services/apiKeyService");
+const { API_KEY_SCOPES } = require("../utils/roles");
+const { annotateAudit } = require("../services/auditService");
+
+/**
+ * Create an API key
+ * The full key is only returned in this response - store it in the integration right away.
+ * @route POST /api/api-keys
+ * @access Private (admin)
+ */
+const addApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: "At least one scope is required" });
+    }
+
+    const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        message: `Invalid scopes. Must be any of: ${API_KEY_SCOPES.join(", ")}`,
+        invalidScopes
+      });
+    }
+
+    // Leaving expiresInDays out is the only way to get a key that never expires
+    if (expiresInDays !== undefined &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_API_KEY_TTL_DAYS)) {
+      return res.status(400).json({
+        message: `expiresInDays must be a whole number from 1 to ${MAX_API_KEY_TTL_DAYS}, or left out for a key that never expires`
+      });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays,
+      createdBy: req.user.id,
+    });
+    annotateAudit(res, { targetId: apiKey._id, details: { name: apiKey.name, scopes: apiKey.scopes } });
+
+    res.status(201).json({
+      message: "API key created. Copy it now - it won't be shown again.",
+      key,
+      apiKey: {
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        createdAt: apiKey.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("API Key Creation Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * List API keys with usage information (never the key itself)
+ * @route GET /api/api-keys
+ * @access Private (admin)
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .sort({ createdAt: -1 })
+      .populate("createdBy", "name email")
+      .populate("revokedBy", "name email")
+      .select("-keyHash")
+      .lean();
+
+    res.json(apiKeys);
+  } catch (error) {
+    console.error("Fetch API Keys Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Revoke an API key - takes effect on the next request made with it
+ * @route DELETE /api/api-keys/:id
+ * @access Private (admin)
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user.id;
+      await apiKey.save();
+    }
+    annotateAudit(res, { details: { name: apiKey.name, prefix: apiKey.prefix } });
+
+    res.json({ message: "API key revoked successfully" });
+  } catch (error) {
+    console.error("Revoke API Key Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid API key ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  addApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * List audit log entries, newest first
+ * @route GET /api/audit
+ * @access Private (admin)
+ * @query actor - Account id of whoever performed the action
+ * @query actorRole - e.g. "admin", "agent", "api-key"
+ * @query action - Exact action ("task.delete") or area prefix ending in "." ("task.")
+ * @query targetType, targetId - The record acted on
+ * @query from, to - ISO dates bounding createdAt
+ * @query page - Page number (default: 1)
+ * @query limit - Entries per page (default: 50, max: 200)
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor, actorRole, action, targetType, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const query = {};
+
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ message: "Invalid actor ID" });
+      }
+      query.actor = actor;
+    }
+
+    if (actorRole) query.actorRole = actorRole;
+
+    if (action) {
+      query.action = action.endsWith(".")
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+        : action;
+    }
+
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "name email")
+        .populate("apiKey", "name prefix")
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch Audit Logs Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+};
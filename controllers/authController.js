@@ -1,94 +1,639 @@
 const bcrypt = require("bcryptjs"); 
-const jwt = require("jsonwebtoken"); 
 const User = require("../models/User"); 
 const agent = require("../models/Agent");
+const {
+  normalizeEmail,
+  findAccountByEmail,
+  isEmailTaken,
+  getAccountRole
+} = require("../services/accountService");
+const {
+  TokenError,
+  REFRESH_TOKEN_TTL,
+  issueTokens,
+  rotateRefreshToken,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  getSessionIdFromRefreshToken
+} = require("../services/tokenService");
+const {
+  REFRESH_COOKIE,
+  CSRF_HEADER,
+  generateCsrfToken,
+  isValidCsrfRequest,
+  setAuthCookies,
+  clearAuthCookies
+} = require("../utils/authCookies");
+const {
+  consumeAuthToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} = require("../services/authTokenService");
+const { validatePassword } = require("../utils/validators");
+const {
+  findOpenInvitation,
+  claimInvitation,
+  releaseInvitation
+} = require("../services/invitationService");
+const { USER_ROLES } = require("../utils/roles");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount: clearLockout
+} = require("../services/loginProtection");
+const SecurityEvent = require("../models/SecurityEvent");
+const { verifySecondFactor } = require("../services/twoFactorService");
+const { annotateAudit } = require("../services/auditService");
+
+// Block logins until the address is confirmed (opt-in so existing accounts keep working)
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+/**
+ * Write the session cookies and build the JSON body shared by login and refresh
+ * Browser clients that pass `cookieSession: true` only get the CSRF token back,
+ * so the JWTs never become readable from JavaScript.
+ */
+const sendTokens = (req, res, tokens, sessionId, extra = {}) => {
+  const csrfToken = setAuthCookies(res, tokens, sessionId, REFRESH_TOKEN_TTL);
+
+  if (req.body?.cookieSession === true) {
+    return res.json({ expiresIn: tokens.expiresIn, csrfToken, ...extra });
+  }
+
+  res.json({
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    csrfToken,
+    ...extra
+  });
+};
+
 // Function to handle user login
 const login = async (req, res) => {
   try {
-    let user ;
     const { email, password } = req.body;
-    console.log(req.body)
-    if(email.endsWith("@agent.com")){
-      user = await agent.findOne({ email });
-    }else{
-      user = await User.findOne({ email });
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required" });
+    }
+
+    // Accounts may live in either collection - the persisted role decides access
+    const user = await findAccountByEmail(email);
+
+    // Refuse throttled IPs and locked/throttled accounts before checking the password
+    const blocked = checkLoginAllowed(req, user);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        message: blocked.message,
+        code: blocked.code,
+        retryAfter: blocked.retryAfter
+      });
     }
+
     if (!user) {
+      await recordLoginFailure(req, email, null);
       return res.status(400).json({ message: "Invalid credentials" }); 
     }
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(req, email, user);
       return res.status(400).json({ message: "Invalid credentials" }); 
     }
-    console.log(process.env.JWT_SECRET)
-    const token = jwt.sign({email: email }, process.env.JWT_SECRET);
-    res.cookie("token", token);
-    
-    res.json({ token , user});
+
+    // Offboarded agents keep their record for reporting but can no longer sign in
+    if (user.status === "Decommissioned") {
+      return res.status(403).json({
+        message: "This account has been decommissioned",
+        code: "ACCOUNT_DECOMMISSIONED"
+      });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      return res.status(403).json({
+        message: "Please verify your email address before logging in",
+        code: "EMAIL_NOT_VERIFIED"
+      });
+    }
+
+    // Accounts with TOTP enrolled only get a challenge; tokens are issued by /login/2fa.
+    // Failure counters stay in place until the second factor passes too.
+    if (user.twoFactor?.enabled) {
+      annotateAudit(res, { skip: true }); // Audited once the second step completes
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: issueTwoFactorChallenge(user)
+      });
+    }
+
+    await recordLoginSuccess(user);
+    const tokens = await issueTokens(user, req);
+    annotateAudit(res, {
+      actor: { id: user._id, role: getAccountRole(user), email: user.email },
+      targetId: tokens.session._id,
+      details: { method: "password" },
+    });
+
+    sendTokens(req, res, tokens, tokens.session._id, { user, role: getAccountRole(user) });
   } catch (err) {
     console.error("Login Error:", err);
     res.status(500).json({ message: "Server error" }); 
   }
 };
 
+/**
+ * Second login step for accounts with two-factor enabled
+ * Takes the challenge token from the first step plus a TOTP code or a recovery code.
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "Challenge token and a code or recovery code are required" });
+    }
+
+    const { id } = verifyTwoFactorChallenge(challengeToken);
+    const user = await User.findById(id);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: "Invalid two-factor challenge", code: "TOKEN_INVALID" });
+    }
+
+    // Wrong codes count towards the same throttling/lockout as wrong passwords
+    const blocked = checkLoginAllowed(req, user);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        message: blocked.message,
+        code: blocked.code,
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure(req, user.email, user);
+      return res.status(400).json({ message: "Invalid code", code: "TWO_FACTOR_INVALID" });
+    }
+
+    await recordLoginSuccess(user);
+    const tokens = await issueTokens(user, req);
+    annotateAudit(res, {
+      actor: { id: user._id, role: getAccountRole(user), email: user.email },
+      targetId: tokens.session._id,
+      details: { method },
+    });
+
+    sendTokens(req, res, tokens, tokens.session._id, {
+      user,
+      role: getAccountRole(user),
+      // Warn the client when a recovery code was spent so it can prompt for new ones
+      ...(method === "recovery-code" && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1 })
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+    console.error("Two-Factor Login Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Signup policy per deployment:
+//   "invite" (default) - only invited agents can create accounts
+//   "open"             - anyone can also sign up as a User with OPEN_SIGNUP_ROLE
+const SIGNUP_MODE = process.env.SIGNUP_MODE === "open" ? "open" : "invite";
+const OPEN_SIGNUP_ROLE = USER_ROLES.includes(process.env.OPEN_SIGNUP_ROLE)
+  ? process.env.OPEN_SIGNUP_ROLE
+  : "viewer";
+
+/**
+ * Create an agent account by redeeming an invitation
+ * The invitation fixes the email and status; the invitee picks their name, mobile and password.
+ */
+const signupWithInvite = async (req, res, hash) => {
+  const { inviteToken, name, fullNumber } = req.body;
+
+  if (!fullNumber) {
+    return res.status(400).json({ message: "Mobile number is required for agents" });
+  }
+
+  const invitation = await claimInvitation(inviteToken);
+  if (!invitation) {
+    return res.status(400).json({ message: "Invitation is invalid or has expired", code: "INVITE_INVALID" });
+  }
+
+  let newAgent;
+  try {
+    if (await isEmailTaken(invitation.email)) {
+      await releaseInvitation(invitation);
+      return res.status(400).json({ message: "User already exists" });
+    }
+
+    newAgent = await agent.create({
+      name: name || invitation.name,
+      email: invitation.email,
+      mobile: fullNumber,
+      password: hash,
+      status: invitation.status,
+      // The token arrived at this address, so it is already verified
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+  } catch (error) {
+    await releaseInvitation(invitation);
+    throw error;
+  }
+
+  invitation.agent = newAgent._id;
+  await invitation.save();
+
+  annotateAudit(res, {
+    actor: { id: newAgent._id, role: "agent", email: newAgent.email },
+    targetId: newAgent._id,
+    details: { role: "agent", invitation: invitation._id },
+  });
+
+  res.status(201).json({
+    id: newAgent._id,
+    name: newAgent.name,
+    email: newAgent.email,
+    role: "agent",
+    emailVerified: true
+  });
+};
+
 const signup = async (req, res) => {
   try {
-    const { name, email, password, confirmPass , fullNumber } = req.body;
-
-      let user; // Use let instead of const because you will reassign it
-
-      if (email.endsWith("@agent.com")) {
-        user = await agent.findOne({ email });
-      } else {
-        user = await User.findOne({ email });
-      }
-      if (user) {
-        return res.status(400).json({ message: "User already exists" });
-      }
-
-      if (password !== confirmPass) {
-        return res.status(401).json({ message: "Passwords do not match" });
-      }
-
-      bcrypt.hash(password, 10, async (err, hash) => {
-        if (err) {
-          console.error("Hashing Error:", err);
-          return res.status(500).json({ message: "Server error" });
-        }
-
-        let newUser;
-        
-        if (email.endsWith("@agent.com")) {
-          newUser = await agent.create({
-            name,
-            email,
-            mobile:fullNumber,
-            password: hash,
-          });
-        } else {
-          newUser = await User.create({
-            name,
-            email,
-            password: hash,
-          });
-        }
-
-        res.status(201).json(user);
-});  
-} catch (error) {
+    const { name, email, password, confirmPass, inviteToken } = req.body;
+
+    if (password !== confirmPass) {
+      return res.status(401).json({ message: "Passwords do not match" });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    // Agents can only join through an invitation
+    if (inviteToken) {
+      const hash = await bcrypt.hash(password, 10);
+      return await signupWithInvite(req, res, hash);
+    }
+
+    if (SIGNUP_MODE !== "open") {
+      return res.status(403).json({ message: "Signup is by invitation only", code: "SIGNUP_INVITE_ONLY" });
+    }
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    if (await isEmailTaken(email)) {
+      return res.status(400).json({ message: "User already exists" });
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+
+    const newUser = await User.create({
+      name,
+      email: normalizeEmail(email),
+      password: hash,
+      role: OPEN_SIGNUP_ROLE,
+    });
+
+    annotateAudit(res, {
+      actor: { id: newUser._id, role: newUser.role, email: newUser.email },
+      targetId: newUser._id,
+      details: { role: newUser.role },
+    });
+
+    // A failed email must not fail the signup - the user can ask for a new link
+    sendVerificationEmail(newUser).catch((err) => console.error("Verification Email Error:", err));
+
+    res.status(201).json({
+      id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
+      role: newUser.role,
+      emailVerified: newUser.emailVerified
+    });
+  } catch (error) {
     console.error("Signup Error:", error);
     res.status(500).json({ message: "Server error" });
   }
-}
+};
 
-const logout = (req,res) => {
-  res.clearCookie("token", {
-    httpOnly: true,
-    sameSite: "Lax",
-    secure: false // use true in production (HTTPS)
-  });
+/**
+ * Describe an invitation so the signup form can prefill it
+ */
+const getInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation is invalid or has expired", code: "INVITE_INVALID" });
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error("Get Invitation Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Exchange a refresh token (body or cookie) for a new token pair
+ * The presented refresh token is rotated and can't be used again.
+ */
+const refresh = async (req, res) => {
+  try {
+    const fromBody = req.body?.refreshToken;
+    const presented = fromBody || req.cookies?.[REFRESH_COOKIE];
+
+    // A refresh driven by the cookie alone must prove it came from our dashboard
+    if (!fromBody && presented && !isValidCsrfRequest(req, getSessionIdFromRefreshToken(presented))) {
+      return res.status(403).json({ message: `Missing or invalid ${CSRF_HEADER} header`, code: "CSRF_INVALID" });
+    }
+
+    const { account, sessionId, ...tokens } = await rotateRefreshToken(presented);
+
+    sendTokens(req, res, tokens, sessionId, { role: getAccountRole(account) });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+    console.error("Refresh Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Revoke the current session and clear auth cookies
+ * The session is identified by the refresh token (body or cookie), which must be
+ * the session's current one - a session id alone can't end a session.
+ */
+const logout = async (req, res) => {
+  const fromBody = req.body?.refreshToken;
+  const presented = fromBody || req.cookies?.[REFRESH_COOKIE];
+
+  // Like refresh: a logout driven by the cookie alone must prove it came from our dashboard
+  if (!fromBody && presented && !isValidCsrfRequest(req, getSessionIdFromRefreshToken(presented))) {
+    return res.status(403).json({ message: `Missing or invalid ${CSRF_HEADER} header`, code: "CSRF_INVALID" });
+  }
+
+  try {
+    const sessionId = await revokeSessionByRefreshToken(presented, "logout");
+    annotateAudit(res, { targetId: sessionId });
+  } catch (error) {
+    // Logging out must always clear the client state, even if revocation fails
+    console.error("Logout Error:", error);
+  }
+
+  clearAuthCookies(res);
+  res.json({ message: "Logged out successfully" });
+};
+
+/**
+ * Clear auth cookies without revoking anything
+ * Kept for old clients' GET /logout; a cross-site GET carries the cookies, so it
+ * must not be able to end a session.
+ */
+const clearSessionCookies = (req, res) => {
+  clearAuthCookies(res);
   res.json({ message: "Logged out successfully" });
-} 
+};
+
+/**
+ * Revoke every session of the logged-in account ("log out everywhere")
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.id, "logout-all");
+
+    clearAuthCookies(res);
+    annotateAudit(res, { details: { revokedCount } });
+    res.json({ message: "Logged out of all sessions", revokedCount });
+  } catch (error) {
+    console.error("Logout All Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+
+// Same answer whether or not the account exists, so the endpoint can't be used to enumerate emails
+const RESET_REQUESTED_MESSAGE = "If an account exists for that email, a password reset link has been sent";
+
+/**
+ * Start a password reset - emails a single-use, time-limited link
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const account = await findAccountByEmail(email);
+    if (account) {
+      await sendPasswordResetEmail(account);
+    }
+
+    res.json({ message: RESET_REQUESTED_MESSAGE });
+  } catch (error) {
+    console.error("Forgot Password Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Complete a password reset with the emailed token
+ * Every existing session is revoked so a stolen session can't outlive the reset.
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPass } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and password are required" });
+    }
+
+    if (password !== confirmPass) {
+      return res.status(400).json({ message: "Passwords do not match" });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const account = await consumeAuthToken(token, "password-reset");
+    if (!account) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired", code: "TOKEN_INVALID" });
+    }
+
+    account.password = await bcrypt.hash(password, 10);
+    // A successful reset also lifts any brute-force lockout
+    account.failedLoginAttempts = 0;
+    account.lastFailedLoginAt = null;
+    account.lockUntil = null;
+    // Receiving the reset email proves ownership of the address
+    if (!account.emailVerified) {
+      account.emailVerified = true;
+      account.emailVerifiedAt = new Date();
+    }
+    await account.save();
+
+    await revokeAllSessions(account._id, "password-reset");
+    clearAuthCookies(res);
+    annotateAudit(res, {
+      actor: { id: account._id, role: getAccountRole(account), email: account.email },
+      targetId: account._id,
+    });
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (error) {
+    console.error("Reset Password Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Confirm an email address with the emailed token
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: "Token is required" });
+    }
+
+    const account = await consumeAuthToken(token, "email-verification");
+    if (!account) {
+      return res.status(400).json({ message: "Verification link is invalid or has expired", code: "TOKEN_INVALID" });
+    }
+
+    account.emailVerified = true;
+    account.emailVerifiedAt = new Date();
+    await account.save();
+    annotateAudit(res, {
+      actor: { id: account._id, role: getAccountRole(account), email: account.email },
+      targetId: account._id,
+      details: { email: account.email },
+    });
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Verify Email Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Send a fresh verification link
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const account = await findAccountByEmail(email);
+    if (account && !account.emailVerified) {
+      await sendVerificationEmail(account);
+    }
+
+    res.json({ message: "If the account exists and is unverified, a verification link has been sent" });
+  } catch (error) {
+    console.error("Resend Verification Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Clear a lockout so the account can log in again (admin only)
+ */
+const unlockAccount = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const account = await findAccountByEmail(email);
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    await clearLockout(req, account);
+    annotateAudit(res, { targetId: account._id, details: { email: account.email } });
+
+    res.json({ message: "Account unlocked successfully" });
+  } catch (error) {
+    console.error("Unlock Account Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * List login security events for auditing (admin only)
+ * @query type, email, ip - Optional filters
+ * @query limit - Number of events to return (default: 50, max: 200)
+ */
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { type, email, ip } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const query = {};
+    if (type) query.type = type;
+    if (email) query.email = normalizeEmail(email);
+    if (ip) query.ip = ip;
+
+    const events = await SecurityEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("actor", "name email")
+      .lean();
+
+    res.json(events);
+  } catch (error) {
+    console.error("Security Events Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Return the CSRF token for the current session
+ * Lets the dashboard recover the header value without reading cookies.
+ */
+const getCsrfToken = (req, res) => {
+  res.json({ csrfToken: generateCsrfToken(req.user.sid), header: CSRF_HEADER });
+};
 
 
-module.exports = { login , signup, logout }; // Export the login function for use in routes
+module.exports = {
+  login,
+  loginTwoFactor,
+  signup,
+  getInvitation,
+  logout,
+  clearSessionCookies,
+  logoutAll,
+  refresh,
+  getCsrfToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  getSecurityEvents
+}; // Export the auth handlers for use in routes
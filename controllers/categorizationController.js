@@ -7,6 +7,13 @@ const {
   discoverWorkingModel,
   CATEGORIES 
 } = require("../services/categorizationService");
+const { annotateAudit, snapshot } = require("../services/auditService");
+const { snapshotTask, buildChangeEvents, recordTaskEvents } = require("../services/taskEventService");
+const { loadSlaPolicies, applySla, refreshTaskSla } = require("../services/slaService");
+const { statusCounters, statusCountProjection } = require("../utils/taskStatus");
+
+// Task fields captured in audit before/after snapshots
+const CATEGORY_AUDIT_FIELDS = ["category", "categorySource", "categoryConfidence", "priority", "dueAt"];
 
 /**
  * Manually categorize a single task
@@ -27,6 +34,8 @@ const categorizeSingleTask = async (req, res) => {
     }
 
     let result;
+    const before = snapshot(task, CATEGORY_AUDIT_FIELDS);
+    const previous = snapshotTask(task);
 
     // If category is provided manually, use it
     if (category) {
@@ -59,7 +68,13 @@ const categorizeSingleTask = async (req, res) => {
       });
     }
 
+    applySla(task, await loadSlaPolicies()); // The new category may come with another SLA
     await task.save();
+    await recordTaskEvents(buildChangeEvents(previous, task, {
+      req,
+      source: task.categorySource === "ai" ? "ai" : "manual"
+    }));
+    annotateAudit(res, { before, after: snapshot(task, CATEGORY_AUDIT_FIELDS) });
     await task.populate("agent", "name email");
 
     res.json({
@@ -97,6 +112,10 @@ const categorizeBulkTasks = async (req, res) => {
         });
       }
 
+      const previousTasks = await Task.find({ _id: { $in: taskIds } })
+        .select("status category agent notes firstName")
+        .lean();
+
       const result = await Task.updateMany(
         { _id: { $in: taskIds } },
         {
@@ -109,6 +128,12 @@ const categorizeBulkTasks = async (req, res) => {
         }
       );
 
+      await recordTaskEvents(previousTasks.flatMap((task) =>
+        buildChangeEvents(snapshotTask(task), { ...task, category }, { req, source: "bulk" })
+      ));
+      await refreshTaskSla({ _id: { $in: taskIds } }); // Priority and due date follow the new category
+      annotateAudit(res, { details: { taskIds, category, source: "manual", modifiedCount: result.modifiedCount } });
+
       return res.json({
         message: `Successfully categorized ${result.modifiedCount} tasks`,
         modifiedCount: result.modifiedCount
@@ -133,18 +158,31 @@ const categorizeBulkTasks = async (req, res) => {
     );
 
     // Update tasks with categorization results
+    const slaPolicies = await loadSlaPolicies();
+    const events = [];
     const updatePromises = tasks.map(async (task, index) => {
       const result = categorizationResults[index];
       if (result) {
+        const previous = snapshotTask(task);
         task.category = result.category;
         task.categorySource = result.source;
         task.categorizedAt = result.source === "ai" ? new Date() : null;
         task.categoryConfidence = result.confidence;
+        applySla(task, slaPolicies);
         await task.save();
+        events.push(...buildChangeEvents(previous, task, { req, source: result.source === "ai" ? "ai" : "bulk" }));
       }
     });
 
     await Promise.all(updatePromises);
+    await recordTaskEvents(events);
+
+    annotateAudit(res, {
+      details: {
+        taskIds: tasks.map((task) => task._id),
+        categories: categorizationResults.map((result) => result && result.category),
+      },
+    });
 
     res.json({
       message: `Successfully categorized ${tasks.length} tasks`,
@@ -175,15 +213,7 @@ const getCategoryStats = async (req, res) => {
         $group: {
           _id: "$category",
           count: { $sum: 1 },
-          completed: {
-            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] }
-          },
-          pending: {
-            $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] }
-          },
-          inProgress: {
-            $sum: { $cond: [{ $eq: ["$status", "in-progress"] }, 1, 0] }
-          }
+          ...statusCounters()
         }
       },
       {
@@ -191,9 +221,7 @@ const getCategoryStats = async (req, res) => {
           _id: 0,
           category: "$_id",
           count: 1,
-          completed: 1,
-          pending: 1,
-          inProgress: 1
+          ...statusCountProjection()
         }
       },
       { $sort: { count: -1 } }
@@ -251,6 +279,7 @@ const getHealthStatus = async (req, res) => {
 const rediscoverModel = async (req, res) => {
   try {
     const model = await discoverWorkingModel(true);
+    annotateAudit(res, { details: { workingModel: model || null } });
     
     res.json({
       message: model ? "Model re-discovery successful" : "No working model found",
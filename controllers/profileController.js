@@ -0,0 +1,184 @@
+const bcrypt = require("bcryptjs");
+const { findAccountById, findAccountByEmail, normalizeEmail } = require("../services/accountService");
+const { sendVerificationEmail } = require("../services/authTokenService");
+const { revokeAllSessions } = require("../services/tokenService");
+const { clearAuthCookies } = require("../utils/authCookies");
+const { validatePassword, validateEmail, validateMobile } = require("../utils/validators");
+const { annotateAudit, snapshot } = require("../services/auditService");
+
+// Profile fields captured in audit before/after snapshots
+const PROFILE_AUDIT_FIELDS = ["name", "email", "mobile"];
+
+/**
+ * Shape an account for the profile response
+ * Only agents have a mobile number and availability status.
+ */
+const toProfile = (account, role) => ({
+  id: account._id,
+  name: account.name,
+  email: account.email,
+  role,
+  emailVerified: Boolean(account.emailVerified),
+  ...(role === "agent" && { mobile: account.mobile, status: account.status }),
+  ...(role === "admin" && { twoFactorEnabled: Boolean(account.twoFactor?.enabled) }),
+});
+
+/**
+ * Get the logged-in user's or agent's profile
+ * @route GET /api/me
+ * @access Private
+ */
+const getProfile = async (req, res) => {
+  try {
+    const account = await findAccountById(req.user.id, req.user.role);
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    res.json(toProfile(account, req.user.role));
+  } catch (error) {
+    console.error("Fetch Profile Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Update the logged-in account's own name, email and (agents) mobile
+ * Role, status and password are not editable here.
+ * Changing the email marks it unverified and sends a new verification link.
+ * @route PATCH /api/me
+ * @access Private
+ */
+const updateProfile = async (req, res) => {
+  try {
+    const { name, email, mobile } = req.body;
+    const isAgent = req.user.role === "agent";
+
+    if (name === undefined && email === undefined && mobile === undefined) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+
+    if (mobile !== undefined && !isAgent) {
+      return res.status(400).json({ message: "Only agents have a mobile number" });
+    }
+
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      return res.status(400).json({ message: "Name cannot be empty" });
+    }
+
+    if (email !== undefined) {
+      const emailError = validateEmail(email);
+      if (emailError) {
+        return res.status(400).json({ message: emailError });
+      }
+    }
+
+    if (mobile !== undefined) {
+      const mobileError = validateMobile(mobile);
+      if (mobileError) {
+        return res.status(400).json({ message: mobileError });
+      }
+    }
+
+    const account = await findAccountById(req.user.id, req.user.role);
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    const before = snapshot(account, PROFILE_AUDIT_FIELDS);
+
+    if (name !== undefined) account.name = name.trim();
+    if (mobile !== undefined) account.mobile = mobile.trim();
+
+    let emailChanged = false;
+    if (email !== undefined && normalizeEmail(email) !== normalizeEmail(account.email)) {
+      const existing = await findAccountByEmail(email, { withDeleted: true });
+      if (existing && !existing._id.equals(account._id)) {
+        return res.status(400).json({ message: "An account with this email already exists" });
+      }
+
+      account.email = normalizeEmail(email);
+      account.emailVerified = false;
+      account.emailVerifiedAt = null;
+      emailChanged = true;
+    }
+
+    await account.save();
+    annotateAudit(res, { targetId: account._id, before, after: snapshot(account, PROFILE_AUDIT_FIELDS) });
+
+    if (emailChanged) {
+      sendVerificationEmail(account).catch((err) => console.error("Verification Email Error:", err));
+    }
+
+    res.json({
+      message: emailChanged
+        ? "Profile updated. Please check your inbox to verify your new email address."
+        : "Profile updated successfully",
+      profile: toProfile(account, req.user.role),
+    });
+  } catch (error) {
+    console.error("Update Profile Error:", error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "An account with this email already exists" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Change the logged-in account's password
+ * Requires the current password; every session is revoked afterwards,
+ * including this one, so the new password is needed everywhere.
+ * @route POST /api/me/password
+ * @access Private
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPass } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "Current and new password are required" });
+    }
+
+    if (newPassword !== confirmPass) {
+      return res.status(400).json({ message: "Passwords do not match" });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const account = await findAccountById(req.user.id, req.user.role);
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, account.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    if (await bcrypt.compare(newPassword, account.password)) {
+      return res.status(400).json({ message: "New password must be different from the current one" });
+    }
+
+    account.password = await bcrypt.hash(newPassword, 10);
+    await account.save();
+
+    await revokeAllSessions(account._id, "password-change");
+    clearAuthCookies(res);
+    annotateAudit(res, { targetId: account._id });
+
+    res.json({ message: "Password changed. Please log in with your new password." });
+  } catch (error) {
+    console.error("Change Password Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  changePassword,
+};
@@ -0,0 +1,120 @@
+const { getSetting, setSetting } = require("../services/settingsService");
+const { isValidStrategy, listStrategies, STRATEGY_NAMES } = require("../services/assignmentStrategies");
+const { annotateAudit } = require("../services/auditService");
+const { getWorkflow, validateWorkflow, normalizeWorkflow } = require("../services/workflowService");
+const { TASK_STATUSES, OPEN_TASK_STATUSES, CLOSED_TASK_STATUSES, TRANSITION_FIELDS } = require("../utils/taskStatus");
+
+/**
+ * Get the assignment settings and the strategies to choose from
+ * @route GET /api/settings/assignment
+ * @access Private (admin, supervisor)
+ */
+const getAssignmentSettings = async (req, res) => {
+  try {
+    const strategy = await getSetting("assignment.strategy");
+    res.json({ strategy, strategies: listStrategies() });
+  } catch (error) {
+    console.error("Get Assignment Settings Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Set the default strategy used to distribute uploaded tasks
+ * @route PUT /api/settings/assignment
+ * @access Private (admin)
+ * @body strategy - One of the strategy names
+ */
+const updateAssignmentSettings = async (req, res) => {
+  try {
+    const { strategy } = req.body;
+    if (!isValidStrategy(strategy)) {
+      return res.status(400).json({ message: `Invalid strategy. Must be one of: ${STRATEGY_NAMES.join(", ")}` });
+    }
+
+    const previous = await getSetting("assignment.strategy");
+    await setSetting("assignment.strategy", strategy, req.user.id);
+
+    annotateAudit(res, {
+      targetId: "assignment.strategy",
+      before: { strategy: previous },
+      after: { strategy },
+    });
+
+    res.json({ message: "Assignment settings updated", strategy, strategies: listStrategies() });
+  } catch (error) {
+    console.error("Update Assignment Settings Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Workflow settings response: the transition graph and what it can refer to
+ */
+const formatWorkflow = (transitions) => ({
+  transitions,
+  statuses: TASK_STATUSES,
+  openStatuses: OPEN_TASK_STATUSES,
+  closedStatuses: CLOSED_TASK_STATUSES,
+  transitionFields: TRANSITION_FIELDS,
+});
+
+/**
+ * Get the task workflow: which status changes are allowed and what they require
+ * @route GET /api/settings/workflow
+ * @access Private (admin, supervisor, viewer, agent)
+ */
+const getWorkflowSettings = async (req, res) => {
+  try {
+    res.json(formatWorkflow(await getWorkflow()));
+  } catch (error) {
+    console.error("Get Workflow Settings Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Replace the task workflow, or go back to the default with { transitions: null }
+ * Tasks already in a status that loses its transitions keep it.
+ * @route PUT /api/settings/workflow
+ * @access Private (admin)
+ * @body transitions - { [from]: { [to]: { requires?: ["resolutionNote" | "statusReason"] } } }
+ */
+const updateWorkflowSettings = async (req, res) => {
+  try {
+    const { transitions } = req.body;
+
+    if (transitions !== null) {
+      const validationError = validateWorkflow(transitions);
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+    }
+
+    const previous = await getWorkflow();
+    await setSetting("workflow.transitions", transitions === null ? null : normalizeWorkflow(transitions), req.user.id);
+    const current = await getWorkflow();
+
+    annotateAudit(res, {
+      targetId: "workflow.transitions",
+      before: { transitions: previous },
+      after: { transitions: current },
+      details: { reset: transitions === null },
+    });
+
+    res.json({
+      message: transitions === null ? "Workflow reset to the default" : "Workflow updated",
+      ...formatWorkflow(current),
+    });
+  } catch (error) {
+    console.error("Update Workflow Settings Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  getAssignmentSettings,
+  updateAssignmentSettings,
+  getWorkflowSettings,
+  updateWorkflowSettings,
+};
@@ -0,0 +1,140 @@
+const SlaPolicy = require("../models/SlaPolicy");
+const { CATEGORIES } = require("../services/categorizationService");
+const { annotateAudit } = require("../services/auditService");
+const { DEFAULT_AT_RISK_HOURS, refreshTaskSla } = require("../services/slaService");
+const { OPEN_TASK_STATUSES } = require("../utils/taskStatus");
+const { TASK_PRIORITIES } = require("../utils/taskPriority");
+
+const MIN_RESOLUTION_HOURS = 0.25;
+const MAX_RESOLUTION_HOURS = 24 * 365;
+
+/**
+ * Policy fields as plain JSON (also used for audit snapshots)
+ */
+const formatPolicy = (policy) => ({
+  category: policy.category,
+  resolutionHours: policy.resolutionHours,
+  atRiskHours: policy.atRiskHours,
+  priority: policy.priority,
+});
+
+/**
+ * Validate a policy from a request body
+ * @returns {string|null} Error message, or null if the policy is acceptable
+ */
+const validatePolicy = ({ resolutionHours, atRiskHours, priority }) => {
+  if (typeof resolutionHours !== "number" || resolutionHours < MIN_RESOLUTION_HOURS || resolutionHours > MAX_RESOLUTION_HOURS) {
+    return `resolutionHours must be a number from ${MIN_RESOLUTION_HOURS} to ${MAX_RESOLUTION_HOURS}`;
+  }
+  if (atRiskHours !== undefined && atRiskHours !== null && (typeof atRiskHours !== "number" || atRiskHours < 0)) {
+    return "atRiskHours must be a number of hours (0 or more)";
+  }
+  if (priority !== undefined && priority !== null && !TASK_PRIORITIES.includes(priority)) {
+    return `Invalid priority. Must be one of: ${TASK_PRIORITIES.join(", ")}`;
+  }
+  return null;
+};
+
+/**
+ * List the SLA policies
+ * Categories without a policy have no due date.
+ * @route GET /api/sla-policies
+ * @access Private (admin, supervisor, viewer)
+ */
+const getSlaPolicies = async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find().sort({ category: 1 }).populate("updatedBy", "name email").lean();
+    const covered = new Set(policies.map((policy) => policy.category));
+
+    res.json({
+      policies,
+      uncoveredCategories: CATEGORIES.filter((category) => !covered.has(category)),
+      defaultAtRiskHours: DEFAULT_AT_RISK_HOURS,
+    });
+  } catch (error) {
+    console.error("Get SLA Policies Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Create or replace the SLA policy of a category
+ * Open tasks in the category that follow the SLA get new due dates; completed tasks keep theirs.
+ * @route PUT /api/sla-policies/:category
+ * @access Private (admin)
+ * @body resolutionHours - Time allowed from creation to completion
+ * @body atRiskHours - Warning window before the due date (optional)
+ * @body priority - Priority of tasks in the category (optional)
+ */
+const upsertSlaPolicy = async (req, res) => {
+  try {
+    const { category } = req.params;
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Invalid category. Must be one of: ${CATEGORIES.join(", ")}` });
+    }
+
+    const validationError = validatePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { resolutionHours, atRiskHours = null, priority = null } = req.body;
+    const previous = await SlaPolicy.findOne({ category });
+
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { category },
+      { $set: { resolutionHours, atRiskHours, priority, updatedBy: req.user.id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    const updatedTasks = await refreshTaskSla({ category, status: { $in: OPEN_TASK_STATUSES } });
+
+    annotateAudit(res, {
+      before: previous ? formatPolicy(previous) : null,
+      after: formatPolicy(policy),
+      details: { updatedTasks },
+    });
+
+    res.status(previous ? 200 : 201).json({
+      message: previous ? "SLA policy updated" : "SLA policy created",
+      policy,
+      updatedTasks,
+    });
+  } catch (error) {
+    console.error("Upsert SLA Policy Error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: "Validation error", errors: error.errors });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Remove the SLA policy of a category
+ * Open tasks in the category lose their SLA due date (due dates set by hand stay).
+ * @route DELETE /api/sla-policies/:category
+ * @access Private (admin)
+ */
+const deleteSlaPolicy = async (req, res) => {
+  try {
+    const { category } = req.params;
+    const policy = await SlaPolicy.findOneAndDelete({ category });
+    if (!policy) {
+      return res.status(404).json({ message: "No SLA policy for this category" });
+    }
+
+    const updatedTasks = await refreshTaskSla({ category, status: { $in: OPEN_TASK_STATUSES } });
+
+    annotateAudit(res, { before: formatPolicy(policy), details: { updatedTasks } });
+
+    res.json({ message: "SLA policy removed", updatedTasks });
+  } catch (error) {
+    console.error("Delete SLA Policy Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  getSlaPolicies,
+  upsertSlaPolicy,
+  deleteSlaPolicy,
+};
@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const TaskAttachment = require("../models/TaskAttachment");
+const { annotateAudit, getRequestActor } = require("../services/auditService");
+const {
+  getDefaultStorageName,
+  getStorageAdapter,
+  generateStorageKey,
+  removeStoredFiles,
+} = require("../services/attachmentStorage");
+const { sanitizeFilename } = require("../utils/multerConfig");
+
+const UPLOADER_FIELDS = "name email role";
+
+/**
+ * Whether the caller uploaded an attachment
+ */
+const isUploader = (req, attachment) => {
+  const { actor, actorModel } = getRequestActor(req);
+  return String(attachment.uploadedBy) === String(actor) && attachment.uploadedByModel === actorModel;
+};
+
+/**
+ * Load the attachment named in the route, which must belong to the task
+ */
+const loadAttachment = async (req, res, task) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) {
+    res.status(400).json({ message: "Invalid attachment ID" });
+    return null;
+  }
+
+  const attachment = await TaskAttachment.findOne({ _id: req.params.attachmentId, task: task._id });
+  if (!attachment) {
+    res.status(404).json({ message: "Attachment not found" });
+    return null;
+  }
+  return attachment;
+};
+
+/**
+ * Upload attachments to a task
+ * Files arrive as multipart form data in the "files" field. Task access is checked
+ * before the body is read, then type, size and count by acceptAttachments (utils/multerConfig.js).
+ * @route POST /api/tasks/:taskId/attachments
+ * @access Private (admin, supervisor, agent for own tasks; API keys with tasks:write)
+ */
+const uploadTaskAttachments = async (req, res) => {
+  const saved = [];
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded. Send them in the "files" field' });
+    }
+
+    const { task } = req; // Loaded and access-checked by loadAccessibleTask
+
+    const { actor, actorModel, actorRole } = getRequestActor(req);
+    const storage = getDefaultStorageName();
+    const adapter = getStorageAdapter(storage);
+
+    for (const file of req.files) {
+      const storageKey = generateStorageKey(task._id, path.extname(file.originalname).toLowerCase());
+      await adapter.save(storageKey, file.buffer, { contentType: file.mimetype });
+      saved.push({
+        task: task._id,
+        filename: sanitizeFilename(file.originalname),
+        mimeType: file.mimetype,
+        size: file.size,
+        storage,
+        storageKey,
+        uploadedBy: actor,
+        uploadedByModel: actorModel,
+        uploadedByRole: actorRole,
+      });
+    }
+
+    const attachments = await TaskAttachment.insertMany(saved);
+
+    annotateAudit(res, {
+      details: { attachments: attachments.map(({ _id, filename, size }) => ({ id: _id, filename, size })) },
+    });
+
+    res.status(201).json({ message: `${attachments.length} attachment(s) uploaded`, attachments });
+  } catch (error) {
+    console.error("Upload Task Attachments Error:", error);
+    await removeStoredFiles(saved); // Don't leave files without a record
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * List a task's attachments, oldest first
+ * @route GET /api/tasks/:taskId/attachments
+ * @access Private (admin, supervisor, viewer, agent for own tasks; API keys with tasks:read)
+ */
+const getTaskAttachments = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const attachments = await TaskAttachment.find({ task: task._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .select("-storageKey")
+      .populate("uploadedBy", UPLOADER_FIELDS)
+      .lean();
+
+    res.json({ taskId: task._id, attachments });
+  } catch (error) {
+    console.error("Get Task Attachments Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Download an attachment
+ * Always served as a download with the stored MIME type, never rendered inline.
+ * @route GET /api/tasks/:taskId/attachments/:attachmentId/download
+ * @access Private (admin, supervisor, viewer, agent for own tasks; API keys with tasks:read)
+ */
+const downloadTaskAttachment = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const attachment = await loadAttachment(req, res, task);
+    if (!attachment) return;
+
+    let stream;
+    try {
+      stream = await getStorageAdapter(attachment.storage).read(attachment.storageKey);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return res.status(404).json({ message: "Attachment file is missing from storage" });
+      }
+      throw error;
+    }
+
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": attachment.size,
+      "Content-Disposition": `attachment; filename="${attachment.filename}"`,
+      "X-Content-Type-Options": "nosniff",
+    });
+
+    stream.on("error", (error) => {
+      console.error("Download Task Attachment Stream Error:", error);
+      res.destroy(error); // Headers are already sent
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("Download Task Attachment Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Delete an attachment
+ * Agents can delete what they uploaded to their own tasks; admins and supervisors any attachment.
+ * @route DELETE /api/tasks/:taskId/attachments/:attachmentId
+ * @access Private (admin, supervisor, agent for own uploads)
+ */
+const deleteTaskAttachment = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const attachment = await loadAttachment(req, res, task);
+    if (!attachment) return;
+
+    if (req.user.role === "agent" && !isUploader(req, attachment)) {
+      return res.status(403).json({ message: "You can only delete attachments you uploaded" });
+    }
+
+    await attachment.deleteOne();
+    await removeStoredFiles([attachment]);
+
+    annotateAudit(res, {
+      before: { filename: attachment.filename, size: attachment.size, uploadedBy: attachment.uploadedBy },
+      details: { attachmentId: attachment._id },
+    });
+
+    res.json({ message: "Attachment deleted" });
+  } catch (error) {
+    console.error("Delete Task Attachment Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  uploadTaskAttachments,
+  getTaskAttachments,
+  downloadTaskAttachment,
+  deleteTaskAttachment,
+};
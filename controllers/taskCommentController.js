@@ -0,0 +1,265 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const TaskComment = require("../models/TaskComment");
+const { annotateAudit, getRequestActor } = require("../services/auditService");
+const { resolveMentions } = require("../services/mentionService");
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const AUTHOR_FIELDS = "name email role";
+
+const parsePage = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit };
+};
+
+const validateBody = (body) =>
+  typeof body === "string" && body.trim() && body.length <= MAX_COMMENT_LENGTH
+    ? null
+    : `Comment must be a non-empty string of at most ${MAX_COMMENT_LENGTH} characters`;
+
+/**
+ * Whether the caller wrote a comment
+ */
+const isAuthor = (req, comment) => {
+  const { actor, actorModel } = getRequestActor(req);
+  return String(comment.author._id || comment.author) === String(actor) && comment.authorModel === actorModel;
+};
+
+/**
+ * Load the comment named in the route, which must belong to the task
+ */
+const loadComment = async (req, res, task) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+    res.status(400).json({ message: "Invalid comment ID" });
+    return null;
+  }
+
+  const comment = await TaskComment.findOne({ _id: req.params.commentId, task: task._id });
+  if (!comment) {
+    res.status(404).json({ message: "Comment not found" });
+    return null;
+  }
+  return comment;
+};
+
+/**
+ * Keep Task.commentCount in step with the thread (not an edit of the task itself)
+ */
+const adjustCommentCount = (taskId, change) =>
+  Task.updateOne({ _id: taskId }, { $inc: { commentCount: change } }, { timestamps: false });
+
+const populateComment = (comment) =>
+  comment.populate([
+    { path: "author", select: AUTHOR_FIELDS },
+    { path: "mentions.account", select: AUTHOR_FIELDS },
+  ]);
+
+/**
+ * List a task's comments, oldest first
+ * @route GET /api/tasks/:taskId/comments
+ * @access Private (admin, supervisor, viewer, agent for own tasks; API keys with tasks:read)
+ * @query page - Page number (default: 1)
+ * @query limit - Comments per page (default: 50, max: 200)
+ */
+const getTaskComments = async (req, res) => {
+  try {
+    const { task } = req; // Loaded and access-checked by loadAccessibleTask
+
+    const { page, limit } = parsePage(req.query);
+
+    const [comments, total] = await Promise.all([
+      TaskComment.find({ task: task._id })
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("author", AUTHOR_FIELDS)
+        .populate("mentions.account", AUTHOR_FIELDS)
+        .lean(),
+      TaskComment.countDocuments({ task: task._id }),
+    ]);
+
+    res.json({
+      taskId: task._id,
+      comments,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("Get Task Comments Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Add a comment to a task
+ * Mentions of agents or staff ("@" + email, or the part before its "@") are resolved and stored.
+ * @route POST /api/tasks/:taskId/comments
+ * @access Private (admin, supervisor, agent for own tasks)
+ * @body body - Comment text
+ */
+const addTaskComment = async (req, res) => {
+  try {
+    const bodyError = validateBody(req.body.body);
+    if (bodyError) {
+      return res.status(400).json({ message: bodyError });
+    }
+
+    const { task } = req;
+
+    const { actor, actorModel, actorRole } = getRequestActor(req);
+    const body = req.body.body.trim(); // Stored as editTaskComment compares it
+    const { mentions, unresolved } = await resolveMentions(body);
+
+    const comment = await TaskComment.create({
+      task: task._id,
+      author: actor,
+      authorModel: actorModel,
+      authorRole: actorRole,
+      body,
+      mentions,
+    });
+    await adjustCommentCount(task._id, 1);
+
+    annotateAudit(res, { details: { commentId: comment._id, mentions: mentions.length } });
+
+    await populateComment(comment);
+
+    res.status(201).json({ message: "Comment added", comment, unresolvedMentions: unresolved });
+  } catch (error) {
+    console.error("Add Task Comment Error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: "Validation error", errors: error.errors });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Edit a comment - only its author can, and the previous text is kept in `edits`
+ * @route PATCH /api/tasks/:taskId/comments/:commentId
+ * @access Private (author: admin, supervisor, agent for own tasks)
+ * @body body - New comment text
+ */
+const editTaskComment = async (req, res) => {
+  try {
+    const bodyError = validateBody(req.body.body);
+    if (bodyError) {
+      return res.status(400).json({ message: bodyError });
+    }
+
+    const { task } = req;
+
+    const comment = await loadComment(req, res, task);
+    if (!comment) return;
+
+    if (!isAuthor(req, comment)) {
+      return res.status(403).json({ message: "You can only edit your own comments" });
+    }
+
+    const body = req.body.body.trim();
+    if (body === comment.body) {
+      await populateComment(comment);
+      return res.json({ message: "Comment unchanged", comment, unresolvedMentions: [] });
+    }
+
+    const { mentions, unresolved } = await resolveMentions(body);
+    const before = { body: comment.body };
+    const editedAt = new Date();
+
+    comment.edits.push({ body: comment.body, editedAt });
+    comment.body = body;
+    comment.mentions = mentions;
+    comment.editedAt = editedAt;
+    await comment.save();
+
+    annotateAudit(res, { before, after: { body }, details: { commentId: comment._id } });
+
+    await populateComment(comment);
+
+    res.json({ message: "Comment updated", comment, unresolvedMentions: unresolved });
+  } catch (error) {
+    console.error("Edit Task Comment Error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: "Validation error", errors: error.errors });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Delete a comment - its author or an admin can
+ * @route DELETE /api/tasks/:taskId/comments/:commentId
+ * @access Private (author, admin)
+ */
+const deleteTaskComment = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const comment = await loadComment(req, res, task);
+    if (!comment) return;
+
+    if (req.user.role !== "admin" && !isAuthor(req, comment)) {
+      return res.status(403).json({ message: "You can only delete your own comments" });
+    }
+
+    await comment.deleteOne();
+    await adjustCommentCount(task._id, -1);
+
+    annotateAudit(res, {
+      before: { body: comment.body, author: comment.author, createdAt: comment.createdAt },
+      details: { commentId: comment._id },
+    });
+
+    res.json({ message: "Comment deleted" });
+  } catch (error) {
+    console.error("Delete Task Comment Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Comments that mention the logged-in account, newest first
+ * @route GET /api/me/mentions
+ * @access Private (any role)
+ * @query page, limit - As for task comments
+ */
+const getMyMentions = async (req, res) => {
+  try {
+    const { page, limit } = parsePage(req.query);
+    const { actor, actorModel } = getRequestActor(req);
+    const filter = { mentions: { $elemMatch: { account: actor, accountModel: actorModel } } };
+
+    const [comments, total] = await Promise.all([
+      TaskComment.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("author", AUTHOR_FIELDS)
+        .populate("task", "firstName status agent")
+        .lean(),
+      TaskComment.countDocuments(filter),
+    ]);
+
+    res.json({
+      // Tasks in the trash are hidden by populate, so their comments are left out
+      comments: comments.filter((comment) => comment.task),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("Get Mentions Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  getTaskComments,
+  addTaskComment,
+  editTaskComment,
+  deleteTaskComment,
+  getMyMentions,
+};
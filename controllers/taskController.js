@@ -1,33 +1,183 @@
 const Task = require("../models/Task"); // Import the Task model
 const Agent = require("../models/Agent"); // Import the Agent model (needed for agent existence check)
+const TaskEvent = require("../models/TaskEvent"); // Import the TaskEvent model (task history)
+const Upload = require("../models/Upload"); // Import the Upload model (upload filter)
 const mongoose = require("mongoose"); // For ObjectId validation
+const { annotateAudit, snapshot, getRequestActor } = require("../services/auditService"); // Audit trail details
+const {
+  snapshotTask,
+  buildChangeEvents,
+  buildCreatedEvent,
+  buildDeletedEvent,
+  recordTaskEvents
+} = require("../services/taskEventService"); // Task history
+const {
+  TaskQueryError,
+  buildTaskFilter,
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  buildCursorFilter,
+  parsePagination
+} = require("../utils/taskQuery"); // Listing filters, sorting and pagination
+const { searchTasks: runTaskSearch } = require("../services/taskSearchService"); // Text and phone search
+const { categorizeTask, CATEGORIES } = require("../services/categorizationService"); // AI categorization
+const {
+  AssignmentError,
+  getAssignableAgent,
+  pickAgentForTask,
+  applyReassignments
+} = require("../services/assignmentService"); // Agent selection and handovers
+const { OPEN_TASK_STATUSES, TASK_STATUSES, TRANSITION_FIELDS, SNOOZED_STATUS } = require("../utils/taskStatus");
+const { getWorkflow, getTransitionError } = require("../services/workflowService"); // Allowed status changes
+const { TASK_PRIORITIES } = require("../utils/taskPriority");
+const { loadSlaPolicies, applySla } = require("../services/slaService"); // Priorities and due dates
+const { QUEUED, assignQueuedTasks } = require("../services/unassignedQueueService"); // Tasks waiting for an agent
+const { dueNowFilter } = require("../services/followUpService"); // Follow-ups and snoozed tasks
+const { isValidStrategy, STRATEGY_NAMES } = require("../services/assignmentStrategies"); // Distribution strategies
+const { validateMobile } = require("../utils/validators"); // Shared input validation
+const { canAccessTask } = require("../middleware/taskAccess"); // Agents only reach their own tasks
+
+const MAX_SEARCH_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TRANSITION_FIELD_LENGTH = 2000;
+const MAX_SNOOZE_MINUTES = 90 * 24 * 60; // 90 days
+const MAX_DUE_NOW_WINDOW_MINUTES = 24 * 60;
+
+// Task fields captured in audit before/after snapshots
+const TASK_AUDIT_FIELDS = ["firstName", "phone", "notes", "agent", "status", "completedDate", "category", "priority", "dueAt", "followUpAt", "statusReason", "resolutionNote"];
 
 /**
- * Retrieves all tasks from the database.
+ * Lists tasks with filtering, multi-field sorting and pagination.
  * Populates the 'agent' field to include the agent's name and email.
+ * @route GET /api/tasks
+ * @query status, category, categorySource, priority, agent - Single value or comma-separated list
+ * @query createdFrom, createdTo, updatedFrom, updatedTo, completedFrom, completedTo, dueFrom, dueTo, followUpFrom, followUpTo - ISO dates
+ * @query overdue, atRisk, breached - "true" or "false" (SLA state)
+ * @query upload - Only tasks created by this upload
+ * @query sort - Comma-separated fields, "-" for descending (default: -createdAt)
+ * @query limit - Page size (default: 50, max: 200)
+ * @query cursor - nextCursor from the previous page (takes precedence over page)
+ * @query page - Page number for offset pagination (default: 1)
  */
 const getTasks = async (req, res) => {
   try {
-    // Support category filter
-    const { category } = req.query;
-    const query = category ? { category } : {};
-    
-    const tasks = await Task.find(query).populate("agent", "name email"); // Fetch tasks with agent details
-    res.json(tasks); // Send the retrieved tasks as a JSON response
+    const filter = await buildTaskFilter(req.query, {
+      resolveUploadTasks: async (uploadId) => {
+        const upload = await Upload.findById(uploadId).select("tasks").lean();
+        return upload ? upload.tasks : null;
+      },
+    });
+    const sort = parseSort(req.query.sort);
+    const { limit, page, cursor } = parsePagination(req.query);
+
+    const pageFilter = cursor ? { $and: [filter, buildCursorFilter(cursor, sort)] } : filter;
+
+    // Fetch one extra row to know whether another page exists
+    const [rows, total] = await Promise.all([
+      Task.find(pageFilter)
+        .sort(toSortObject(sort))
+        .skip(cursor ? 0 : (page - 1) * limit)
+        .limit(limit + 1)
+        .populate("agent", "name email"), // Fetch tasks with agent details
+      Task.countDocuments(filter),
+    ]);
+
+    const hasNextPage = rows.length > limit;
+    const tasks = hasNextPage ? rows.slice(0, limit) : rows;
+
+    res.json({
+      tasks,
+      pagination: {
+        total,
+        limit,
+        ...(!cursor && { page, pages: Math.ceil(total / limit) }),
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(tasks[tasks.length - 1], sort) : null,
+      },
+    });
   } catch (err) {
+    if (err instanceof TaskQueryError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Fetch Tasks Error:", err);
     res.status(500).json({ message: "Server error" }); // Handle server errors
   }
 };
 
+/**
+ * Search tasks by customer name, notes or phone number
+ * Text queries are ranked by relevance; phone queries ignore formatting.
+ * Agents only ever see their own tasks.
+ * @route GET /api/tasks/search
+ * @query q - Search string (required)
+ * @query status, category, categorySource, priority, agent, date ranges, SLA state - As for GET /api/tasks
+ * @query limit - Page size (default: 50, max: 200)
+ * @query page - Page number (default: 1)
+ */
+const searchTasks = async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (!q) {
+      return res.status(400).json({ message: "Search query (q) is required" });
+    }
+
+    if (q.length > MAX_SEARCH_LENGTH) {
+      return res.status(400).json({ message: `Search query must be at most ${MAX_SEARCH_LENGTH} characters` });
+    }
+
+    const filter = await buildTaskFilter(req.query, {
+      resolveUploadTasks: async (uploadId) => {
+        const upload = await Upload.findById(uploadId).select("tasks").lean();
+        return upload ? upload.tasks : null;
+      },
+    });
+
+    // Agents are scoped to their own tasks whatever agent filter they pass
+    if (req.user.role === "agent") {
+      filter.agent = new mongoose.Types.ObjectId(req.user.id);
+    }
+
+    const { limit, page } = parsePagination(req.query);
+    const { mode, results, total } = await runTaskSearch({ q, filter, limit, page });
+
+    res.json({
+      query: q,
+      mode,
+      results,
+      pagination: {
+        total,
+        limit,
+        page,
+        pages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+      },
+    });
+  } catch (err) {
+    if (err instanceof TaskQueryError) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("Search Tasks Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 /**
  * Retrieves tasks assigned to a specific agent.
  * Validates whether the agent exists before querying for tasks.
+ * @query category - Only tasks in this category
+ * @query priority, overdue, atRisk, breached - As for GET /api/tasks
  */
 const getTasksByAgent = async (req, res) => {
   try {
     const { agentId } = req.params; // Extract agent ID from request parameters
     
+    // Agents may only list their own tasks
+    if (req.user.role === "agent" && String(req.user.id) !== String(agentId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // Check if the agent exists in the database
     const agentExists = await Agent.findById(agentId);
     if (!agentExists) {
@@ -35,9 +185,9 @@ const getTasksByAgent = async (req, res) => {
       return res.json([]);
     }
 
-    // Support category filter
-    const { category } = req.query;
-    const query = { agent: agentId };
+    // Support category, priority and SLA filters
+    const { category, priority, overdue, atRisk, breached } = req.query;
+    const query = { ...await buildTaskFilter({ priority, overdue, atRisk, breached }), agent: agentId };
     if (category) {
       query.category = category;
     }
@@ -48,6 +198,9 @@ const getTasksByAgent = async (req, res) => {
     // Return tasks (empty array if none found) - this is normal, not an error
     res.json(tasks || []);
   } catch (err) {
+    if (err instanceof TaskQueryError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Fetch Tasks Error:", err);
     
     // Handle invalid ObjectId format
@@ -71,24 +224,53 @@ const deleteTasks = async (req, res) => {
     if (!task) {
       return res.status(404).json({ message: "Task not found" });
     }
+
+    if (!canAccessTask(req.user, task)) {
+      return res.status(403).json({ message: "You can only modify your own tasks" });
+    }
     
-    await task.deleteOne(); // Using deleteOne() for consistency
+    await task.softDelete(getRequestActor(req)); // Moves the task to the trash (see models/plugins/softDelete.js)
+    await recordTaskEvents([buildDeletedEvent(task, { req })]);
+    annotateAudit(res, { before: snapshot(task, TASK_AUDIT_FIELDS) });
     
-    res.json({ message: "Task deleted successfully", task });
+    res.json({ message: "Task moved to trash", task });
   } catch (error) {
     console.error("Delete Tasks Error:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
+/**
+ * Validate the transition fields (resolutionNote, statusReason) present in a request body
+ * @returns {string|null} Error message, or null if the fields are acceptable
+ */
+const validateTransitionFields = (body) => {
+  const invalid = TRANSITION_FIELDS.find((field) =>
+    body[field] !== undefined && (typeof body[field] !== "string" || body[field].length > MAX_TRANSITION_FIELD_LENGTH)
+  );
+  return invalid ? `${invalid} must be a string of at most ${MAX_TRANSITION_FIELD_LENGTH} characters` : null;
+};
+
+/**
+ * Task fields to set when a task changes status
+ * The reason always describes the current status, so it is cleared when none is given.
+ */
+const getTransitionUpdates = ({ statusReason, resolutionNote }) => ({
+  statusReason: statusReason ? statusReason.trim() : null,
+  ...(resolutionNote !== undefined && { resolutionNote: resolutionNote.trim() || null }),
+});
+
 /**
  * Update task status - Production ready with save() method
- * Automatically updates updatedAt timestamp and handles completedDate
+ * Automatically updates updatedAt timestamp and handles completedDate.
+ * The change must be allowed by the workflow (see GET /api/settings/workflow).
+ * @body status - New status
+ * @body resolutionNote, statusReason - Required by some transitions
  */
 const updateTasks = async (req, res) => {
   try {
     const { taskId } = req.params;
-    const { status } = req.body;
+    const { status, statusReason } = req.body;
     
     // Input validation
     if (!taskId) {
@@ -99,24 +281,47 @@ const updateTasks = async (req, res) => {
       return res.status(400).json({ message: "Status is required" });
     }
     
-    const validStatuses = ["pending", "in-progress", "completed"];
-    if (!validStatuses.includes(status)) {
+    if (!TASK_STATUSES.includes(status)) {
       return res.status(400).json({ 
-        message: `Invalid status. Must be one of: ${validStatuses.join(", ")}` 
+        message: `Invalid status. Must be one of: ${TASK_STATUSES.join(", ")}` 
       });
     }
+
+    const fieldError = validateTransitionFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    // A snoozed task needs a follow-up time to wake up at
+    if (status === SNOOZED_STATUS) {
+      return res.status(400).json({ message: "Use POST /api/tasks/:taskId/snooze to snooze a task" });
+    }
     
     // Find the task
     const task = await Task.findById(taskId);
     if (!task) {
       return res.status(404).json({ message: "Task not found" });
     }
+
+    if (!canAccessTask(req.user, task)) {
+      return res.status(403).json({ message: "You can only modify your own tasks" });
+    }
+
+    const transitionError = getTransitionError(await getWorkflow(), task.status, status, req.body);
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError.message, code: transitionError.code, ...transitionError.details });
+    }
     
     // Store previous status for logic
     const previousStatus = task.status;
+    const before = snapshot(task, TASK_AUDIT_FIELDS);
+    const previous = snapshotTask(task);
     
     // Update status
     task.status = status;
+    if (status !== previousStatus) {
+      Object.assign(task, getTransitionUpdates(req.body));
+    }
     
     // Handle completedDate based on status change
     if (status === "completed") {
@@ -133,6 +338,8 @@ const updateTasks = async (req, res) => {
     
     // Save the task - this automatically updates updatedAt ✅
     await task.save();
+    await recordTaskEvents(buildChangeEvents(previous, task, { req, reason: statusReason && statusReason.trim() }));
+    annotateAudit(res, { before, after: snapshot(task, TASK_AUDIT_FIELDS) });
     
     // Populate agent info before sending response
     await task.populate("agent", "name email");
@@ -194,18 +401,15 @@ const bulkDeleteTasks = async (req, res) => {
       });
     }
 
-    // Get agent ID from user (assuming email-based identification)
-    const userEmail = req.user?.email;
-    if (!userEmail || !userEmail.toLowerCase().endsWith("@agent.com")) {
+    // Bulk operations act on the caller's own tasks, so only agents may use them
+    if (req.user?.role !== "agent") {
       return res.status(403).json({ 
         message: "Only agents can perform bulk operations" 
       });
     }
 
-    // Find agent by email
-    const agent = await Agent.findOne({ 
-      email: userEmail.toLowerCase().trim() 
-    });
+    // Find agent by the id embedded in the token
+    const agent = await Agent.findById(req.user.id);
 
     if (!agent) {
       return res.status(404).json({ 
@@ -238,15 +442,25 @@ const bulkDeleteTasks = async (req, res) => {
       });
     }
 
-    // Delete all tasks
-    const deleteResult = await Task.deleteMany({ 
+    // Move all tasks to the trash
+    const deleteResult = await Task.softDeleteMany({ 
       _id: { $in: taskIds },
       agent: agent._id 
+    }, getRequestActor(req));
+
+    await recordTaskEvents(tasks.map((task) => buildDeletedEvent(task, { req, source: "bulk" })));
+
+    annotateAudit(res, {
+      details: {
+        taskIds,
+        deletedCount: deleteResult.modifiedCount,
+        deleted: tasks.map((task) => snapshot(task, ["_id", ...TASK_AUDIT_FIELDS])),
+      },
     });
 
     res.status(200).json({
-      message: `Successfully deleted ${deleteResult.deletedCount} task(s)`,
-      deletedCount: deleteResult.deletedCount,
+      message: `Successfully moved ${deleteResult.modifiedCount} task(s) to trash`,
+      deletedCount: deleteResult.modifiedCount,
       deletedTaskIds: taskIds
     });
   } catch (error) {
@@ -268,11 +482,14 @@ const bulkDeleteTasks = async (req, res) => {
 
 /**
  * Bulk update task status - Production ready with authorization and validation
- * Agents can only update their own tasks
+ * Agents can only update their own tasks. Every task must be allowed to make the
+ * change by the workflow, otherwise nothing is updated.
+ * @body taskIds, status - Tasks and their new status
+ * @body resolutionNote, statusReason - Required by some transitions (applied to every task)
  */
 const bulkUpdateTaskStatus = async (req, res) => {
   try {
-    const { taskIds, status } = req.body;
+    const { taskIds, status, statusReason } = req.body;
 
     // Input validation
     if (!taskIds || !Array.isArray(taskIds)) {
@@ -293,13 +510,22 @@ const bulkUpdateTaskStatus = async (req, res) => {
       });
     }
 
-    const validStatuses = ["pending", "in-progress", "completed"];
-    if (!validStatuses.includes(status)) {
+    if (!TASK_STATUSES.includes(status)) {
       return res.status(400).json({ 
-        message: `Invalid status. Must be one of: ${validStatuses.join(", ")}` 
+        message: `Invalid status. Must be one of: ${TASK_STATUSES.join(", ")}` 
       });
     }
 
+    const fieldError = validateTransitionFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    // A snoozed task needs a follow-up time to wake up at
+    if (status === SNOOZED_STATUS) {
+      return res.status(400).json({ message: "Use POST /api/tasks/:taskId/snooze to snooze a task" });
+    }
+
     // Limit batch size for performance and security
     const MAX_BATCH_SIZE = 100;
     if (taskIds.length > MAX_BATCH_SIZE) {
@@ -317,18 +543,15 @@ const bulkUpdateTaskStatus = async (req, res) => {
       });
     }
 
-    // Get agent ID from user (assuming email-based identification)
-    const userEmail = req.user?.email;
-    if (!userEmail || !userEmail.toLowerCase().endsWith("@agent.com")) {
+    // Bulk operations act on the caller's own tasks, so only agents may use them
+    if (req.user?.role !== "agent") {
       return res.status(403).json({ 
         message: "Only agents can perform bulk operations" 
       });
     }
 
-    // Find agent by email
-    const agent = await Agent.findOne({ 
-      email: userEmail.toLowerCase().trim() 
-    });
+    // Find agent by the id embedded in the token
+    const agent = await Agent.findById(req.user.id);
 
     if (!agent) {
       return res.status(404).json({ 
@@ -361,11 +584,32 @@ const bulkUpdateTaskStatus = async (req, res) => {
       });
     }
 
+    // All or nothing: refuse the batch if any task can't make the change
+    const workflow = await getWorkflow();
+    const refused = tasks
+      .map((task) => ({ task, error: getTransitionError(workflow, task.status, status, req.body) }))
+      .filter(({ error }) => error);
+
+    if (refused.length > 0) {
+      return res.status(400).json({
+        message: `${refused.length} task(s) cannot be moved to ${status}`,
+        code: refused[0].error.code,
+        refusedTasks: refused.map(({ task, error }) => ({
+          taskId: task._id,
+          from: task.status,
+          code: error.code,
+          message: error.message,
+          ...(error.details.missing && { missing: error.details.missing }),
+        })),
+      });
+    }
+
     // Prepare bulk write operations
     const bulkOps = tasks.map(task => {
       const update = {
         $set: {
           status: status,
+          ...(task.status !== status && getTransitionUpdates(req.body)),
           updatedAt: new Date()
         }
       };
@@ -394,6 +638,23 @@ const bulkUpdateTaskStatus = async (req, res) => {
     // Execute bulk write
     const bulkResult = await Task.bulkWrite(bulkOps);
 
+    await recordTaskEvents(tasks.flatMap((task) =>
+      buildChangeEvents(snapshotTask(task), { ...snapshotTask(task), status }, {
+        req,
+        source: "bulk",
+        reason: statusReason && statusReason.trim()
+      })
+    ));
+
+    annotateAudit(res, {
+      details: {
+        taskIds,
+        status,
+        modifiedCount: bulkResult.modifiedCount,
+        previousStatuses: tasks.reduce((acc, task) => ({ ...acc, [task._id]: task.status }), {}),
+      },
+    });
+
     // Fetch updated tasks for response
     const updatedTasks = await Task.find({ 
       _id: { $in: taskIds },
@@ -422,9 +683,591 @@ const bulkUpdateTaskStatus = async (req, res) => {
   }
 };
 
+/**
+ * Validate the editable task fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if the fields are acceptable
+ */
+const validateTaskFields = (body) => {
+  const { firstName, phone, notes, category, priority, dueAt, followUpAt } = body;
+
+  if (firstName !== undefined && (typeof firstName !== "string" || !firstName.trim())) {
+    return "First name cannot be empty";
+  }
+  if (phone !== undefined && validateMobile(phone)) {
+    return "Please provide a valid phone number";
+  }
+  if (notes !== undefined && (typeof notes !== "string" || notes.length > MAX_NOTES_LENGTH)) {
+    return `Notes must be a string of at most ${MAX_NOTES_LENGTH} characters`;
+  }
+  if (category !== undefined && !CATEGORIES.includes(category)) {
+    return `Invalid category. Must be one of: ${CATEGORIES.join(", ")}`;
+  }
+  if (priority !== undefined && priority !== null && !TASK_PRIORITIES.includes(priority)) {
+    return `Invalid priority. Must be one of: ${TASK_PRIORITIES.join(", ")}`;
+  }
+  if (dueAt !== undefined && dueAt !== null && (typeof dueAt !== "string" || isNaN(Date.parse(dueAt)))) {
+    return "Due date must be an ISO date";
+  }
+  if (followUpAt !== undefined && followUpAt !== null && (typeof followUpAt !== "string" || isNaN(Date.parse(followUpAt)))) {
+    return "Follow-up time must be an ISO date";
+  }
+  return null;
+};
+
+/**
+ * Create a single task
+ * The category is taken from the body or, unless autoCategorize is false, suggested by AI
+ * from the notes; the agent is taken from the body or routed automatically by category.
+ * Priority and due date default to the category's SLA policy unless given.
+ * followUpAt sets a callback time that shows up in the agent's due-now queue.
+ * @route POST /api/tasks
+ * @access Private (admin, supervisor; API keys with tasks:write)
+ */
+const createTask = async (req, res) => {
+  try {
+    const { firstName, phone, notes, category, priority, dueAt, followUpAt, agent: agentId, autoCategorize = true } = req.body;
+
+    if (!firstName || !phone) {
+      return res.status(400).json({ message: "First name and phone are required" });
+    }
+
+    const validationError = validateTaskFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    // Same rules as manual reassignment: only Available, on-shift agents with room
+    const explicitAgent = agentId ? await getAssignableAgent(agentId, { requireAvailable: true }) : null;
+
+    let categorization = { category: "General", source: "default", confidence: null };
+    if (category) {
+      categorization = { category, source: "manual", confidence: null };
+    } else if (autoCategorize !== false && notes) {
+      categorization = await categorizeTask(notes);
+    }
+
+    // Categorized first so the task can be routed to an agent who handles the category;
+    // without a free, on-shift agent it waits in the unassigned queue
+    const { agent, route } = explicitAgent
+      ? { agent: explicitAgent, route: null }
+      : await pickAgentForTask({ category: categorization.category });
+
+    const task = await Task.create(applySla({
+      firstName: firstName.trim(),
+      phone: phone.trim(),
+      notes,
+      agent: agent ? agent._id : null,
+      category: categorization.category,
+      categorySource: categorization.source,
+      categorizedAt: categorization.source === "default" ? null : new Date(),
+      categoryConfidence: categorization.confidence ?? null,
+      ...(priority && { priority, prioritySource: "manual" }),
+      ...(dueAt && { dueAt: new Date(dueAt), dueAtSource: "manual" }),
+      ...(followUpAt && { followUpAt: new Date(followUpAt) }),
+    }, await loadSlaPolicies()));
+
+    await recordTaskEvents([buildCreatedEvent(task, { req })]);
+    annotateAudit(res, {
+      targetId: task._id,
+      after: snapshot(task, TASK_AUDIT_FIELDS),
+      details: { assignment: agentId ? "explicit" : "auto", routing: route, categorySource: task.categorySource },
+    });
+
+    await task.populate("agent", "name email");
+
+    res.status(201).json({
+      message: agent ? "Task created successfully" : "Task created and queued: no agent is free to take it",
+      task,
+      routing: route
+    });
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error("Create Task Error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: "Validation error", errors: error.errors });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Edit a task's details
+ * Agents may edit their own tasks but not reassign them or change priority and due date.
+ * A null priority or dueAt goes back to the category's SLA policy; a null followUpAt
+ * clears the callback (not allowed while the task is snoozed).
+ * @route PATCH /api/tasks/:taskId
+ * @access Private (admin, supervisor, agent for own tasks; API keys with tasks:write)
+ */
+const editTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { firstName, phone, notes, category, priority, dueAt, followUpAt, agent: agentId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: "Invalid task ID" });
+    }
+
+    if ([firstName, phone, notes, category, priority, dueAt, followUpAt, agentId].every((value) => value === undefined)) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+
+    const validationError = validateTaskFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (agentId !== undefined && req.user.role === "agent") {
+      return res.status(403).json({ message: "Agents cannot reassign tasks" });
+    }
+
+    if ((priority !== undefined || dueAt !== undefined) && req.user.role === "agent") {
+      return res.status(403).json({ message: "Agents cannot change priority or due date" });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    if (!canAccessTask(req.user, task)) {
+      return res.status(403).json({ message: "You can only modify your own tasks" });
+    }
+
+    if (followUpAt === null && task.status === SNOOZED_STATUS) {
+      return res.status(400).json({ message: "A snoozed task needs a follow-up time. Change its status first" });
+    }
+
+    const before = snapshot(task, TASK_AUDIT_FIELDS);
+    const previous = snapshotTask(task);
+
+    if (firstName !== undefined) task.firstName = firstName.trim();
+    if (phone !== undefined) task.phone = phone.trim();
+    if (notes !== undefined) task.notes = notes;
+
+    if (category !== undefined && category !== task.category) {
+      task.category = category;
+      task.categorySource = "manual";
+      task.categorizedAt = new Date();
+      task.categoryConfidence = null;
+    }
+
+    if (priority !== undefined) {
+      task.prioritySource = priority ? "manual" : "sla";
+      if (priority) task.priority = priority;
+    }
+    if (dueAt !== undefined) {
+      task.dueAtSource = dueAt ? "manual" : null;
+      task.dueAt = dueAt ? new Date(dueAt) : null;
+      task.slaBreachedAt = null; // Re-checked against the new date by the next breach run
+    }
+    if ([category, priority, dueAt].some((value) => value !== undefined)) {
+      applySla(task, await loadSlaPolicies());
+    }
+    if (followUpAt !== undefined) {
+      task.followUpAt = followUpAt ? new Date(followUpAt) : null;
+      task.followUpNotifiedAt = null; // Announced again when the new time comes
+    }
+
+    if (agentId !== undefined && String(agentId) !== String(task.agent)) {
+      const agent = await getAssignableAgent(agentId, { requireAvailable: true });
+      task.agent = agent._id;
+    }
+
+    await task.save();
+    await recordTaskEvents(buildChangeEvents(previous, task, { req }));
+    annotateAudit(res, { before, after: snapshot(task, TASK_AUDIT_FIELDS) });
+
+    await task.populate("agent", "name email");
+
+    res.json({
+      message: "Task updated successfully",
+      task
+    });
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error("Edit Task Error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: "Validation error", errors: error.errors });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Snooze a task until its follow-up time, or move the follow-up of a snoozed task
+ * The task comes back as pending by itself when the time comes (services/followUpService.js).
+ * @route POST /api/tasks/:taskId/snooze
+ * @access Private (admin, supervisor, agent for own tasks; API keys with tasks:write)
+ * @body until - ISO date to snooze until, or
+ * @body minutes - Minutes from now (at most 90 days)
+ * @body statusReason - Optional, or required if the workflow asks for it
+ */
+const snoozeTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { until, minutes, statusReason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: "Invalid task ID" });
+    }
+
+    if ((until === undefined) === (minutes === undefined)) {
+      return res.status(400).json({ message: "Provide either until (ISO date) or minutes" });
+    }
+
+    let followUpAt;
+    if (minutes !== undefined) {
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+        return res.status(400).json({ message: `minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}` });
+      }
+      followUpAt = new Date(Date.now() + minutes * 60 * 1000);
+    } else {
+      if (typeof until !== "string" || isNaN(Date.parse(until))) {
+        return res.status(400).json({ message: "until must be an ISO date" });
+      }
+      followUpAt = new Date(until);
+      if (followUpAt <= new Date() || followUpAt - Date.now() > MAX_SNOOZE_MINUTES * 60 * 1000) {
+        return res.status(400).json({ message: "until must be in the future and at most 90 days away" });
+      }
+    }
+
+    const fieldError = validateTransitionFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    if (!canAccessTask(req.user, task)) {
+      return res.status(403).json({ message: "You can only modify your own tasks" });
+    }
+
+    const transitionError = getTransitionError(await getWorkflow(), task.status, SNOOZED_STATUS, req.body);
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError.message, code: transitionError.code, ...transitionError.details });
+    }
+
+    const rescheduled = task.status === SNOOZED_STATUS;
+    const before = snapshot(task, TASK_AUDIT_FIELDS);
+    const previous = snapshotTask(task);
+
+    if (!rescheduled) {
+      task.status = SNOOZED_STATUS;
+      Object.assign(task, getTransitionUpdates(req.body));
+    }
+    task.followUpAt = followUpAt;
+    task.followUpNotifiedAt = null;
+
+    await task.save();
+    await recordTaskEvents(buildChangeEvents(previous, task, { req, reason: statusReason && statusReason.trim() }));
+    annotateAudit(res, { before, after: snapshot(task, TASK_AUDIT_FIELDS), details: { rescheduled } });
+
+    await task.populate("agent", "name email");
+
+    res.json({
+      message: rescheduled ? "Follow-up rescheduled" : "Task snoozed",
+      task
+    });
+  } catch (error) {
+    console.error("Snooze Task Error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: "Validation error", errors: error.errors });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Open tasks whose follow-up time has come, earliest first
+ * Agents get their own queue; other roles see every agent's, or one with ?agent=.
+ * @route GET /api/tasks/due-now
+ * @access Private (all roles; API keys with tasks:read)
+ * @query agent - Only this agent's tasks (ignored for agents)
+ * @query withinMinutes - Also include follow-ups due in the next N minutes (default: 0, max: 1440)
+ * @query limit, page - As for GET /api/tasks
+ */
+const getDueNowTasks = async (req, res) => {
+  try {
+    const withinMinutes = req.query.withinMinutes === undefined ? 0 : Number(req.query.withinMinutes);
+    if (!Number.isInteger(withinMinutes) || withinMinutes < 0 || withinMinutes > MAX_DUE_NOW_WINDOW_MINUTES) {
+      return res.status(400).json({ message: `withinMinutes must be a whole number between 0 and ${MAX_DUE_NOW_WINDOW_MINUTES}` });
+    }
+
+    const agentId = req.user.role === "agent" ? req.user.id : req.query.agent;
+    if (agentId && !mongoose.Types.ObjectId.isValid(agentId)) {
+      return res.status(400).json({ message: "Invalid agent ID" });
+    }
+
+    const { limit, page } = parsePagination(req.query);
+    const asOf = new Date();
+    const query = {
+      ...dueNowFilter(new Date(asOf.getTime() + withinMinutes * 60 * 1000)),
+      ...(agentId && { agent: agentId }),
+    };
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query)
+        .sort({ followUpAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("agent", "name email")
+        .lean(),
+      Task.countDocuments(query),
+    ]);
+
+    res.json({
+      asOf,
+      tasks,
+      pagination: { total, limit, page, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error("Get Due Now Tasks Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Hand a single open task over to another agent
+ * @route POST /api/tasks/:taskId/reassign
+ * @access Private (admin)
+ */
+const reassignTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { agentId, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: "Invalid task ID" });
+    }
+
+    if (!agentId) {
+      return res.status(400).json({ message: "Target agent (agentId) is required" });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    if (!OPEN_TASK_STATUSES.includes(task.status)) {
+      return res.status(400).json({ message: "Completed tasks stay with the agent who completed them" });
+    }
+
+    if (String(task.agent) === String(agentId)) {
+      return res.status(400).json({ message: "Task is already assigned to this agent" });
+    }
+
+    const agent = await getAssignableAgent(agentId, { requireAvailable: true });
+    const [handover] = await applyReassignments([{ task, agent }], { req, reason });
+
+    if (!handover) {
+      return res.status(409).json({ message: "Task was changed by someone else. Please retry." });
+    }
+
+    annotateAudit(res, { before: { agent: handover.from }, after: { agent: handover.to }, details: { reason } });
+
+    const updatedTask = await Task.findById(taskId).populate("agent", "name email");
+    res.json({
+      message: "Task reassigned successfully",
+      task: updatedTask
+    });
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error("Reassign Task Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Hand several tasks over to one agent
+ * Completed tasks and tasks already with the target agent are skipped and reported.
+ * @route POST /api/tasks/bulk/reassign
+ * @access Private (admin)
+ */
+const bulkReassignTasks = async (req, res) => {
+  try {
+    const { taskIds, agentId, reason } = req.body;
+
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({ message: "taskIds must be a non-empty array" });
+    }
+
+    const MAX_BATCH_SIZE = 100;
+    if (taskIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ message: `Maximum ${MAX_BATCH_SIZE} tasks can be reassigned at once` });
+    }
+
+    const invalidIds = taskIds.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ message: "Invalid task ID format", invalidIds });
+    }
+
+    if (!agentId) {
+      return res.status(400).json({ message: "Target agent (agentId) is required" });
+    }
+
+    const tasks = await Task.find({ _id: { $in: taskIds } });
+    const foundIds = tasks.map((task) => task._id.toString());
+    const notFoundIds = taskIds.filter((id) => !foundIds.includes(String(id)));
+
+    const skipped = [];
+    const movable = tasks.filter((task) => {
+      if (!OPEN_TASK_STATUSES.includes(task.status)) {
+        skipped.push({ taskId: task._id, reason: "completed" });
+        return false;
+      }
+      if (String(task.agent) === String(agentId)) {
+        skipped.push({ taskId: task._id, reason: "already-assigned" });
+        return false;
+      }
+      return true;
+    });
+
+    // Checked for the whole batch so the agent never ends up over their capacity
+    const agent = await getAssignableAgent(agentId, { requireAvailable: true, incoming: movable.length });
+
+    const reassigned = await applyReassignments(
+      movable.map((task) => ({ task, agent })),
+      { req, reason, source: "bulk" }
+    );
+
+    const reassignedIds = reassigned.map(({ taskId }) => taskId.toString());
+    movable
+      .filter((task) => !reassignedIds.includes(task._id.toString()))
+      .forEach((task) => skipped.push({ taskId: task._id, reason: "changed-concurrently" }));
+
+    annotateAudit(res, {
+      targetId: agent._id,
+      details: { taskIds, reason, reassigned, skipped, notFoundIds },
+    });
+
+    res.json({
+      message: `Reassigned ${reassigned.length} task(s) to ${agent.name}`,
+      reassignedCount: reassigned.length,
+      reassigned,
+      skipped,
+      notFoundIds
+    });
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error("Bulk Reassign Tasks Error:", error);
+    res.status(500).json({ message: "Server error during bulk reassignment" });
+  }
+};
+
+/**
+ * List the unassigned queue - open tasks no agent had capacity for, oldest first
+ * @route GET /api/tasks/unassigned
+ * @access Private (admin, supervisor, viewer; API keys with tasks:read)
+ * @query page, limit - Pagination (default 50, max 200)
+ */
+const getUnassignedTasks = async (req, res) => {
+  try {
+    const { limit, page } = parsePagination(req.query);
+
+    const [tasks, total] = await Promise.all([
+      Task.find(QUEUED).sort({ createdAt: 1, _id: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Task.countDocuments(QUEUED),
+    ]);
+
+    res.json({
+      tasks,
+      pagination: { total, limit, page, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error("Get Unassigned Tasks Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Place queued tasks with agents who have room now (also runs periodically)
+ * @route POST /api/tasks/unassigned/assign
+ * @access Private (admin, supervisor)
+ * @body strategy - Optional strategy, defaults to the configured one
+ */
+const assignUnassignedTasks = async (req, res) => {
+  try {
+    const { strategy } = req.body;
+    if (strategy !== undefined && !isValidStrategy(strategy)) {
+      return res.status(400).json({ message: `Invalid strategy. Must be one of: ${STRATEGY_NAMES.join(", ")}` });
+    }
+
+    const { assigned, remaining } = await assignQueuedTasks({ strategy, req });
+
+    annotateAudit(res, { details: { strategy, assignedCount: assigned.length, remaining } });
+
+    res.json({
+      message: `Assigned ${assigned.length} queued task(s)`,
+      assignedCount: assigned.length,
+      remaining,
+      assigned
+    });
+  } catch (error) {
+    console.error("Assign Unassigned Tasks Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get the timeline of a single task (oldest first)
+ * @route GET /api/tasks/:taskId/history
+ * @access Private (admin, supervisor, viewer, agent for own tasks)
+ */
+const getTaskHistory = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({ message: "Invalid task ID" });
+    }
+
+    const task = await Task.findById(taskId).select("agent").lean();
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    if (!canAccessTask(req.user, task)) {
+      return res.status(403).json({ message: "You can only view your own tasks" });
+    }
+
+    const events = await TaskEvent.find({ task: taskId })
+      .sort({ createdAt: 1 })
+      .populate("actor", "name email")
+      .lean();
+
+    res.json({ taskId, events });
+  } catch (error) {
+    console.error("Task History Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 module.exports = { 
   getTasks, 
   getTasksByAgent, 
+  getTaskHistory,
+  searchTasks,
+  createTask,
+  editTask,
+  snoozeTask,
+  getDueNowTasks,
+  reassignTask,
+  bulkReassignTasks,
+  getUnassignedTasks,
+  assignUnassignedTasks,
   deleteTasks, 
   updateTasks,
   bulkDeleteTasks,
@@ -0,0 +1,168 @@
+const Task = require("../models/Task");
+const Agent = require("../models/Agent");
+const { annotateAudit } = require("../services/auditService");
+const { buildRestoredEvent, recordTaskEvents } = require("../services/taskEventService");
+const { getPurgeDate } = require("../services/trashService");
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+const parsePage = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit };
+};
+
+/**
+ * List tasks in the trash, most recently deleted first
+ * @route GET /api/trash/tasks
+ * @access Private (admin, supervisor)
+ * @query page - Page number (default: 1)
+ * @query limit - Tasks per page (default: 50, max: 200)
+ */
+const getTrashedTasks = async (req, res) => {
+  try {
+    const { page, limit } = parsePage(req.query);
+
+    const [tasks, total] = await Promise.all([
+      Task.find(IN_TRASH)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("deletedBy", "name email")
+        .lean(),
+      Task.countDocuments(IN_TRASH),
+    ]);
+
+    // The assignee may be in the trash as well, which a plain populate would hide
+    const agentIds = [...new Set(tasks.filter((task) => task.agent).map((task) => String(task.agent)))];
+    const agents = await Agent.find({ _id: { $in: agentIds } }).withDeleted().select("name email deletedAt").lean();
+    const agentsById = new Map(agents.map((agent) => [String(agent._id), agent]));
+
+    res.json({
+      tasks: tasks.map((task) => ({
+        ...task,
+        agent: task.agent ? agentsById.get(String(task.agent)) || null : null,
+        purgeAt: getPurgeDate(task.deletedAt),
+      })),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("Get Trashed Tasks Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * List agents in the trash, most recently deleted first
+ * @route GET /api/trash/agents
+ * @access Private (admin, supervisor)
+ * @query page - Page number (default: 1)
+ * @query limit - Agents per page (default: 50, max: 200)
+ */
+const getTrashedAgents = async (req, res) => {
+  try {
+    const { page, limit } = parsePage(req.query);
+
+    const [agents, total] = await Promise.all([
+      Agent.find(IN_TRASH)
+        .select("-password")
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("deletedBy", "name email")
+        .lean(),
+      Agent.countDocuments(IN_TRASH),
+    ]);
+
+    // Agents their tasks still point to are kept for attribution (see purgeExpiredTrash)
+    const attributed = new Set((await Task.find({ agent: { $in: agents.map((agent) => agent._id) } })
+      .withDeleted()
+      .distinct("agent")).map(String));
+
+    res.json({
+      agents: agents.map((agent) => ({
+        ...agent,
+        purgeAt: attributed.has(String(agent._id)) ? null : getPurgeDate(agent.deletedAt),
+      })),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("Get Trashed Agents Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Restore a task from the trash
+ * @route POST /api/trash/tasks/:id/restore
+ * @access Private (admin, supervisor)
+ */
+const restoreTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, ...IN_TRASH });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found in trash" });
+    }
+
+    if (task.agent) {
+      const agent = await Agent.findById(task.agent).withDeleted().select("deletedAt");
+      if (agent && agent.deletedAt) {
+        return res.status(409).json({ message: "The task's agent is in the trash. Restore the agent first." });
+      }
+    }
+
+    const deletedAt = task.deletedAt;
+    await task.restore();
+    await recordTaskEvents([buildRestoredEvent(task, { req })]);
+
+    annotateAudit(res, { details: { deletedAt } });
+
+    res.json({ message: "Task restored", task });
+  } catch (error) {
+    console.error("Restore Task Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid task ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Restore an agent from the trash
+ * Agents with open tasks are never deleted, so no tasks come back with them.
+ * @route POST /api/trash/agents/:id/restore
+ * @access Private (admin)
+ */
+const restoreAgent = async (req, res) => {
+  try {
+    const agent = await Agent.findOne({ _id: req.params.id, ...IN_TRASH });
+    if (!agent) {
+      return res.status(404).json({ message: "Agent not found in trash" });
+    }
+
+    const deletedAt = agent.deletedAt;
+    await agent.restore();
+
+    annotateAudit(res, { details: { deletedAt } });
+
+    const { password, ...agentData } = agent.toObject();
+    res.json({ message: "Agent restored", agent: agentData });
+  } catch (error) {
+    console.error("Restore Agent Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid agent ID" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  getTrashedTasks,
+  getTrashedAgents,
+  restoreTask,
+  restoreAgent,
+};
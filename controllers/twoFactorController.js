@@ -0,0 +1,206 @@
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+} = require("../services/totpService");
+const { verifySecondFactor } = require("../services/twoFactorService");
+const { annotateAudit } = require("../services/auditService");
+
+/**
+ * Start TOTP enrolment
+ * Generates a pending secret; two-factor only turns on once a code from it is confirmed.
+ * @route POST /api/auth/2fa/setup
+ * @access Private (admin)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("2FA Setup Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * Returns the recovery codes - this is the only time they are shown.
+ * @route POST /api/auth/2fa/enable
+ * @access Private (admin)
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid code", code: "TWO_FACTOR_INVALID" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    annotateAudit(res, { targetId: user._id });
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA Enable Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Turn two-factor off - requires the password and a current code or recovery code
+ * @route POST /api/auth/2fa/disable
+ * @access Private (admin)
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "Password and a code or recovery code are required" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ message: "Invalid code", code: "TWO_FACTOR_INVALID" });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": false,
+          "twoFactor.secret": null,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.recoveryCodes": [],
+          "twoFactor.lastUsedStep": -1,
+          "twoFactor.enabledAt": null,
+        },
+      }
+    );
+
+    annotateAudit(res, { targetId: user._id });
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA Disable Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Replace the recovery codes - requires a current code
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private (admin)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(400).json({ message: "Invalid code", code: "TWO_FACTOR_INVALID" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { "twoFactor.recoveryCodes": hashes } });
+    annotateAudit(res, { targetId: user._id });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error("2FA Recovery Codes Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Two-factor status for the logged-in user
+ * @route GET /api/auth/2fa
+ * @access Private (admin)
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+    });
+  } catch (error) {
+    console.error("2FA Status Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+};
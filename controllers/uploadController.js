@@ -12,12 +12,18 @@ const {
   completeProgress,
   failProgress
 } = require("../services/progressTracker"); // Import progress tracker
+const { annotateAudit } = require("../services/auditService"); // Audit trail details
+const { getEventActor, buildCreatedEvent, recordTaskEvents } = require("../services/taskEventService"); // Task history
+const { planAssignments, summarizeAssignments, summarizeRouting } = require("../services/assignmentService"); // Agent selection
+const { isValidStrategy, STRATEGY_NAMES } = require("../services/assignmentStrategies"); // Distribution strategies
+const { getSetting } = require("../services/settingsService"); // Default strategy
+const { loadSlaPolicies, applySla } = require("../services/slaService"); // Priorities and due dates
 
 /**
  * Background processing function for CSV upload
  * Processes file, categorizes tasks, and saves to database
  */
-const processUpload = async (jobId, filePath, filename, fileSize, mimeType, userId, agents) => {
+const processUpload = async (jobId, filePath, filename, fileSize, mimeType, userId, strategy, eventActor) => {
   const startTime = Date.now();
   let uploadRecord = null;
 
@@ -110,6 +116,7 @@ const processUpload = async (jobId, filePath, filename, fileSize, mimeType, user
       status: "processing",
       rowCount: tasks.length,
       tasksCreated: 0,
+      assignmentStrategy: strategy,
     });
     await uploadRecord.save();
 
@@ -198,15 +205,22 @@ const processUpload = async (jobId, filePath, filename, fileSize, mimeType, user
       processedTasks: tasks.length
     });
 
-    // Assign tasks to agents in a round-robin manner
-    const distributedTasks = categorizedTasks.map((task, index) => ({
-      ...task,
-      agent: agents[index % agents.length]._id,
-    }));
+    // Assign tasks to the available agents with the chosen strategy (after categorization, which skill matching needs)
+    const assignments = await planAssignments(categorizedTasks, { strategy });
+    const slaPolicies = await loadSlaPolicies(); // Priority and due date from each task's category
+    const distributedTasks = assignments.map(({ task, agent }) =>
+      applySla({ ...task, agent: agent ? agent._id : null }, slaPolicies)
+    );
+    const distribution = summarizeAssignments(assignments);
+    const unassignedCount = assignments.filter(({ agent }) => !agent).length; // Queued: nobody free had room
+    const routing = summarizeRouting(assignments); // Only set by routing strategies (category-skill)
 
     // Bulk insert tasks into the database
     const createdTasks = await Task.insertMany(distributedTasks);
     const taskIds = createdTasks.map((task) => task._id);
+    await recordTaskEvents(createdTasks.map((task) =>
+      buildCreatedEvent(task, { source: "upload", actor: eventActor })
+    ));
     const processingTime = Date.now() - startTime;
 
     // Update upload record with success
@@ -214,6 +228,9 @@ const processUpload = async (jobId, filePath, filename, fileSize, mimeType, user
     uploadRecord.tasksCreated = createdTasks.length;
     uploadRecord.processingTime = processingTime;
     uploadRecord.tasks = taskIds;
+    uploadRecord.distribution = distribution.map(({ agentId, count }) => ({ agent: agentId, count }));
+    uploadRecord.routing = routing;
+    uploadRecord.unassignedCount = unassignedCount;
     await uploadRecord.save();
 
     // Delete the uploaded file after processing
@@ -227,7 +244,11 @@ const processUpload = async (jobId, filePath, filename, fileSize, mimeType, user
       categorizedTasks: categorizedCount,
       defaultTasks: defaultCount,
       rateLimitHit,
-      uploadId: uploadRecord._id.toString()
+      uploadId: uploadRecord._id.toString(),
+      assignmentStrategy: strategy,
+      distribution,
+      routing,
+      unassignedTasks: unassignedCount
     });
 
   } catch (err) {
@@ -271,25 +292,14 @@ const uploadCSV = async (req, res) => {
     }
 
     // Get user from request (set by auth middleware)
-    if (!req.user || !req.user.email) {
+    if (!req.user || !req.user.id) {
       // Cleanup file if authentication fails
       if (req.file) fs.unlinkSync(req.file.path);
       return res.status(401).json({ message: "Authentication required" });
     }
 
-    // Normalize email for consistent lookup (production-ready)
-    const normalizedEmail = req.user.email.toLowerCase().trim();
-
-    // Find user by email to get user ID
-    let user = await User.findOne({ email: normalizedEmail });
-    
-    // If not found with exact match, try case-insensitive search (for legacy data)
-    if (!user) {
-      const escapedEmail = normalizedEmail.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      user = await User.findOne({ 
-        email: { $regex: new RegExp(`^${escapedEmail}$`, 'i') }
-      });
-    }
+    // Find the uploading user by the id embedded in the token
+    const user = await User.findById(req.user.id);
 
     if (!user) {
       // Cleanup file if user not found
@@ -299,17 +309,16 @@ const uploadCSV = async (req, res) => {
       });
     }
 
-    // Additional check: Verify this is not an agent trying to upload
-    if (normalizedEmail.endsWith("@agent.com")) {
+    // Strategy chosen for this upload, or the admin's default
+    const strategy = req.body.strategy || await getSetting("assignment.strategy");
+    if (!isValidStrategy(strategy)) {
       if (req.file) fs.unlinkSync(req.file.path);
-      return res.status(403).json({ 
-        message: "Access denied. Only admin users can upload CSV files." 
-      });
+      return res.status(400).json({ message: `Invalid strategy. Must be one of: ${STRATEGY_NAMES.join(", ")}` });
     }
 
-    // Fetch available agents from the database
-    const agents = await Agent.find();
-    if (agents.length === 0) {
+    // Only available agents receive uploaded tasks
+    const availableAgents = await Agent.countDocuments({ status: "Available" });
+    if (availableAgents === 0) {
       // Cleanup file if no agents
       if (req.file) fs.unlinkSync(req.file.path);
       return res.status(400).json({ message: "No agents available" });
@@ -331,16 +340,23 @@ const uploadCSV = async (req, res) => {
       req.file.size,
       req.file.mimetype,
       user._id,
-      agents
+      strategy,
+      getEventActor(req)
     ).catch(err => {
       console.error(`[Upload] Background processing error for job ${jobId}:`, err);
     });
 
+    annotateAudit(res, {
+      targetId: jobId,
+      details: { fileName: req.file.originalname, fileSize: req.file.size, strategy, availableAgents },
+    });
+
     // Return jobId immediately for progress tracking
     res.json({
       message: "File upload started. Processing in background...",
       jobId: jobId,
-      status: "processing"
+      status: "processing",
+      strategy
     });
 
   } catch (err) {
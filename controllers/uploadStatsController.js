@@ -119,6 +119,7 @@ const getUploadDetails = async (req, res) => {
     const upload = await Upload.findById(id)
       .populate("uploadedBy", "name email")
       .populate("tasks", "firstName phone notes status agent")
+      .populate("distribution.agent", "name email")
       .lean();
 
     if (!upload) {
@@ -145,6 +146,13 @@ const getUploadDetails = async (req, res) => {
           }
         : null,
       tasks: upload.tasks || [],
+      assignmentStrategy: upload.assignmentStrategy || null,
+      distribution: (upload.distribution || []).map((entry) => ({
+        agent: entry.agent ? { id: entry.agent._id, name: entry.agent.name, email: entry.agent.email } : null,
+        count: entry.count,
+      })),
+      routing: upload.routing || null,
+      unassignedCount: upload.unassignedCount || 0,
     };
 
     res.json(formattedUpload);
@@ -0,0 +1,30 @@
+const { recordAudit } = require("../services/auditService");
+
+/**
+ * Audit middleware for mutating routes
+ * Stores the action on res.locals.audit; the controller can enrich it with
+ * annotateAudit() from services/auditService (target, before/after snapshots, details). The entry is
+ * written once the response has finished, and only for successful (< 400) responses.
+ * @param {string} action - Action name, e.g. "agent.delete"
+ * @param {Object} options - { targetType, targetParam } (targetParam is read from req.params)
+ * @returns {Function} Express middleware function
+ */
+const audit = (action, { targetType, targetParam } = {}) => {
+  return (req, res, next) => {
+    res.locals.audit = {
+      action,
+      targetType,
+      targetId: targetParam ? req.params[targetParam] : undefined,
+    };
+
+    res.on("finish", () => {
+      const entry = res.locals.audit;
+      if (!entry || entry.skip || res.statusCode >= 400) return;
+      recordAudit(req, res, entry);
+    });
+
+    next();
+  };
+};
+
+module.exports = audit;
@@ -1,33 +1,93 @@
-const jwt = require("jsonwebtoken"); // Import the jsonwebtoken package
+const { verifyAccessToken, TokenError } = require("../services/tokenService"); // Access token verification
+const { ACCESS_COOKIE, CSRF_HEADER, isValidCsrfRequest } = require("../utils/authCookies"); // Cookie session helpers
+const { verifyApiKey } = require("../services/apiKeyService"); // Integration API keys
+
+/**
+ * Authenticate an integration by its X-API-Key header
+ * The key acts on behalf of the admin who created it; authorize() checks its scopes.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await verifyApiKey(key, req);
+
+    req.user = {
+      id: String(apiKey.createdBy),
+      role: "api-key",
+      apiKeyId: String(apiKey._id),
+      scopes: apiKey.scopes,
+    };
+    req.authMethod = "api-key";
+
+    next();
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+
+    console.error("API Key Authentication Error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
 
 /**
  * Middleware to authenticate users using JWT.
- * This function checks if the request contains a valid token in the Authorization header.
+ * The token is read from the Authorization header ("Bearer <token>") or, for
+ * browser sessions, from the httpOnly session cookie. Integrations may instead
+ * send an API key in the X-API-Key header. Cookie-authenticated
+ * requests that change state must also carry a valid X-CSRF-Token header.
+ * Failures carry a `code` (TOKEN_MISSING, TOKEN_INVALID, TOKEN_EXPIRED, TOKEN_REVOKED,
+ * CSRF_INVALID, API_KEY_INVALID, API_KEY_REVOKED, API_KEY_EXPIRED) so clients know whether to refresh or to log in again.
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
+  const apiKey = req.header("X-API-Key");
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   // Retrieve the Authorization header
   const authHeader = req.header("Authorization");
 
-  // Check if the token exists and follows the expected "Bearer <token>" format
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ message: "Access Denied: Invalid Token Format" });
-  }
+  let token;
+  let authMethod;
 
-  // Extract the token by removing the "Bearer " prefix
-  const token = authHeader.split(" ")[1];
+  if (authHeader) {
+    // Check if the token follows the expected "Bearer <token>" format
+    if (!authHeader.startsWith("Bearer ")) {
+      return res.status(401).json({ message: "Access Denied: Invalid Token Format", code: "TOKEN_MISSING" });
+    }
+
+    // Extract the token by removing the "Bearer " prefix
+    token = authHeader.split(" ")[1];
+    authMethod = "bearer";
+  } else if (req.cookies && req.cookies[ACCESS_COOKIE]) {
+    token = req.cookies[ACCESS_COOKIE];
+    authMethod = "cookie";
+  } else {
+    return res.status(401).json({ message: "Access Denied: No Token Provided", code: "TOKEN_MISSING" });
+  }
 
   try {
-    // Verify the token using the secret key
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify the token signature, expiry and session
+    const verified = await verifyAccessToken(token);
+
+    // Cookies are sent by the browser automatically, so require proof the request came from our app
+    if (authMethod === "cookie" && !isValidCsrfRequest(req, verified.sid)) {
+      return res.status(403).json({ message: `Missing or invalid ${CSRF_HEADER} header`, code: "CSRF_INVALID" });
+    }
 
     // Attach the decoded user data to the request object for further use in protected routes
     req.user = verified;
+    req.authMethod = authMethod;
 
     // Proceed to the next middleware or route handler
     next();
   } catch (error) {
-    // Handle invalid or expired token errors
-    res.status(401).json({ message: "Invalid or Expired Token" });
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+
+    console.error("Authentication Error:", error);
+    res.status(500).json({ message: "Server error" });
   }
 };
 
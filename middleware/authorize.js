@@ -1,39 +1,59 @@
+const { ROLES } = require("../utils/roles");
+
 /**
  * Authorization middleware to check user roles
+ * The role is persisted on the account and embedded in the JWT at login,
+ * so it is read straight from the verified token payload.
+ * Requests authenticated with an API key are checked against the key's scopes
+ * instead; routes that list no scopes are closed to API keys.
  * @param {string[]} allowedRoles - Array of allowed roles (e.g., ["admin"])
+ * @param {string[]} requiredScopes - API key scopes that grant access (e.g., ["tasks:read"])
  * @returns {Function} Express middleware function
  */
-const authorize = (allowedRoles = []) => {
+const authorize = (allowedRoles = [], requiredScopes = []) => {
   return (req, res, next) => {
     // Ensure user is authenticated (should be set by authMiddleware)
-    if (!req.user || !req.user.email) {
-      return res.status(401).json({ 
-        message: "Authentication required" 
+    if (!req.user) {
+      return res.status(401).json({
+        message: "Authentication required"
       });
     }
 
-    const userEmail = req.user.email.toLowerCase().trim();
-    
-    // Determine user role based on email pattern
-    // Agents have emails ending with @agent.com
-    // Admins have any other email format
-    const isAgent = userEmail.endsWith("@agent.com");
-    const userRole = isAgent ? "agent" : "admin";
+    // API keys carry scopes rather than a role
+    if (req.authMethod === "api-key") {
+      const keyScopes = req.user.scopes || [];
+      const hasScopes = requiredScopes.length > 0 && requiredScopes.every((scope) => keyScopes.includes(scope));
+
+      if (!hasScopes) {
+        return res.status(403).json({
+          message: requiredScopes.length > 0
+            ? `Access denied. Required scope: ${requiredScopes.join(", ")}`
+            : "Access denied. This endpoint is not available to API keys"
+        });
+      }
+
+      return next();
+    }
+
+    const userRole = req.user.role;
+
+    // Tokens issued before roles were persisted carry no role - force a fresh login
+    if (!ROLES.includes(userRole)) {
+      return res.status(401).json({
+        message: "Session is missing a role. Please log in again."
+      });
+    }
 
     // Check if user's role is in allowed roles
     if (!allowedRoles.includes(userRole)) {
-      return res.status(403).json({ 
-        message: `Access denied. Required role: ${allowedRoles.join(" or ")}` 
+      return res.status(403).json({
+        message: `Access denied. Required role: ${allowedRoles.join(" or ")}`
       });
     }
 
-    // Attach role to request for use in controllers
-    req.user.role = userRole;
-    
     // Proceed to next middleware or route handler
     next();
   };
 };
 
 module.exports = authorize;
-
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+
+/**
+ * Agents may only touch tasks assigned to them; other roles are unrestricted
+ * @param {Object} user - Authenticated caller (req.user)
+ * @param {Object} task - Task document or plain object with `agent`
+ * @returns {boolean}
+ */
+const canAccessTask = (user, task) =>
+  user.role !== "agent" || String(task.agent) === String(user.id);
+
+/**
+ * Middleware loading the task named by :taskId into req.task
+ * Answers 400 for a malformed id, 404 for a missing task and 403 when the caller
+ * can't access it (see canAccessTask). Only the task's agent is loaded.
+ * @param {string} deniedMessage - Message for the 403 answer
+ * @returns {Function} Express middleware function
+ */
+const loadAccessibleTask = (deniedMessage = "You can only access your own tasks") => {
+  return async (req, res, next) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.taskId)) {
+        return res.status(400).json({ message: "Invalid task ID" });
+      }
+
+      const task = await Task.findById(req.params.taskId).select("agent");
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      if (!canAccessTask(req.user, task)) {
+        return res.status(403).json({ message: deniedMessage });
+      }
+
+      req.task = task;
+      next();
+    } catch (error) {
+      console.error("Load Task Error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+};
+
+module.exports = {
+  canAccessTask,
+  loadAccessibleTask,
+};
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
 
 const agentSchema = new mongoose.Schema(
   {
@@ -28,16 +29,81 @@ const agentSchema = new mongoose.Schema(
       enum: ["Available", "Not-Available", "Decommissioned"],
       default: "Available",
     },
+    // Assignment (see services/assignmentStrategies.js)
+    weight: {
+      type: Number,
+      min: 0,
+      max: 10,
+      default: 1, // Relative share of uploaded tasks under the weighted strategy; 0 opts out
+    },
+    skills: {
+      type: [String], // Lowercase skill tags, e.g. "spanish" or "billing" (a tag naming a category counts as handling it)
+      default: [],
+    },
+    categoryProficiency: {
+      type: Map, // Task category -> proficiency 1 (can handle) to 5 (expert), used to route categorized tasks
+      of: { type: Number, min: 1, max: 5 },
+      default: {},
+    },
+    // Capacity and working hours (see utils/schedule.js)
+    maxOpenTasks: {
+      type: Number,
+      min: 0,
+      default: null, // null = no limit on concurrent open tasks
+    },
+    schedule: {
+      timezone: {
+        type: String,
+        default: "UTC",
+      },
+      hours: [
+        {
+          _id: false,
+          day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+          start: { type: String, required: true }, // "HH:MM" local time
+          end: { type: String, required: true }, // Before start = overnight shift
+        },
+      ], // Empty = always on shift
+    },
+    role: {
+      type: String,
+      enum: ["agent"], // Agents always carry the agent role; other roles live on User
+      default: "agent",
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Brute-force protection (see services/loginProtection.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
   }
 );
 
+// Deleted agents go to the trash (deletedAt/deletedBy) and are hidden from queries
+agentSchema.plugin(softDelete);
+
 // Indexes for performance
 // Note: email index is automatically created by unique: true, so we don't need explicit index
 agentSchema.index({ status: 1 }); // For filtering by status
 agentSchema.index({ createdAt: -1 }); // For sorting by join date
 agentSchema.index({ updatedAt: -1 }); // For tracking updates
 
-module.exports = mongoose.model("Agent", agentSchema);
\ No newline at end of file
+module.exports = mongoose.model("Agent", agentSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { API_KEY_SCOPES } = require("../utils/roles");
+
+/**
+ * Admin-managed API key for machine-to-machine integrations
+ * Only the SHA-256 hash of the key is stored; the full key is shown once at creation.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String, // Non-secret start of the key, shown in listings to identify it
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [(scopes) => scopes.length > 0, "At least one scope is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // Null means the key does not expire
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for performance
+apiKeySchema.index({ createdAt: -1 }); // For listing keys
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+/**
+ * Audit trail entry for a mutating operation
+ * Written by middleware/audit.js once the response has been sent successfully.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true, // "<area>.<verb>", e.g. "agent.delete", "task.bulk_status"
+      trim: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "actorModel",
+      default: null, // Null for anonymous actions (e.g. a failed signup never reaches here)
+    },
+    actorModel: {
+      type: String,
+      enum: ["User", "Agent"],
+    },
+    actorRole: {
+      type: String, // Role at the time of the action, or "api-key"
+    },
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null, // Set when the request was authenticated with an API key
+    },
+    targetType: {
+      type: String, // e.g. "agent", "task", "upload", "session"
+    },
+    targetId: {
+      type: String, // Stored as a string so bulk/non-ObjectId targets fit too
+      default: null,
+    },
+    changes: {
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed, // e.g. { taskIds, deletedCount }
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    statusCode: {
+      type: Number,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for performance
+auditLogSchema.index({ createdAt: -1 }); // For the default newest-first listing
+auditLogSchema.index({ actor: 1, createdAt: -1 }); // For "what did this person do"
+auditLogSchema.index({ action: 1, createdAt: -1 }); // For filtering by action
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 }); // For the history of one record
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
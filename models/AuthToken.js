@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+/**
+ * Single-use, time-limited token sent by email
+ * Only the SHA-256 hash is stored; the raw token lives in the emailed link.
+ */
+const authTokenSchema = new mongoose.Schema(
+  {
+    purpose: {
+      type: String,
+      enum: ["password-reset", "email-verification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "accountModel",
+      required: true,
+    },
+    accountModel: {
+      type: String,
+      enum: ["User", "Agent"],
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for performance
+authTokenSchema.index({ account: 1, purpose: 1 }); // For invalidating older tokens
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired tokens
+
+module.exports = mongoose.model("AuthToken", authTokenSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+/**
+ * Admin-issued invitation for an agent to create their account
+ * Only the SHA-256 hash of the token is stored; the raw token is emailed.
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true, // Normalize email
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["Available", "Not-Available", "Decommissioned"], // Preassigned Agent.status
+      default: "Available",
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agent", // Set once the invitation is redeemed
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for performance
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 }); // For finding open invitations per email
+invitationSchema.index({ createdAt: -1 }); // For listing recent invitations
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+/**
+ * Authentication security event (failed logins, throttling, lockouts)
+ * Kept separately from business data so credential-stuffing attempts can be audited.
+ */
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["login_failed", "login_throttled", "account_locked", "account_unlocked", "ip_blocked"],
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "accountModel",
+      default: null, // Null when the email matched no account
+    },
+    accountModel: {
+      type: String,
+      enum: ["User", "Agent"],
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Admin who performed the action (e.g. unlock)
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed, // e.g. { failedAttempts, lockUntil, retryAfter }
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for performance
+securityEventSchema.index({ type: 1, createdAt: -1 }); // For filtering by event type
+securityEventSchema.index({ ip: 1, createdAt: -1 }); // For tracing a single source
+securityEventSchema.index({ email: 1, createdAt: -1 }); // For tracing a single account
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Keep 90 days
+
+module.exports = mongoose.model("SecurityEvent", securityEventSchema);
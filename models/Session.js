@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * Server-side login session
+ * Backs one refresh token chain; access tokens reference it via the "sid" claim
+ * so revoking the session invalidates both.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "accountModel",
+      required: true,
+    },
+    accountModel: {
+      type: String,
+      enum: ["User", "Agent"],
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String, // SHA-256 of the current refresh token secret
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String, // e.g. "logout", "password-change", "refresh-token-reuse"
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for performance
+sessionSchema.index({ account: 1, revokedAt: 1 }); // For revoking all sessions of an account
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired sessions
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+/**
+ * Application-wide setting changed at runtime by admins (e.g. the default assignment strategy)
+ * One document per key; see services/settingsService.js for the known keys and defaults.
+ */
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Note: key index is automatically created by unique: true
+
+module.exports = mongoose.model("Setting", settingSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { TASK_PRIORITIES } = require("../utils/taskPriority");
+
+/**
+ * Service level for one task category: how long its tasks may stay open
+ * Tasks in the category get dueAt = createdAt + resolutionHours (see services/slaService.js).
+ */
+const slaPolicySchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      enum: ["Support", "Sales", "Technical", "Billing", "Urgent", "General"],
+      required: true,
+      unique: true,
+    },
+    resolutionHours: {
+      type: Number,
+      required: true,
+      min: 0.25,
+      max: 24 * 365,
+    },
+    atRiskHours: {
+      type: Number, // Window before dueAt in which an open task counts as at risk
+      min: 0,
+      default: null, // Falls back to SLA_AT_RISK_HOURS
+    },
+    priority: {
+      type: String,
+      enum: TASK_PRIORITIES,
+      default: null, // Priority of new tasks in the category (null: the category default)
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Note: category index is automatically created by unique: true
+
+module.exports = mongoose.model("SlaPolicy", slaPolicySchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const { TASK_PRIORITIES, DEFAULT_PRIORITY } = require("../utils/taskPriority");
+const { TASK_STATUSES } = require("../utils/taskStatus");
 
 const taskSchema = new mongoose.Schema({
   firstName: String,
@@ -8,9 +11,21 @@ const taskSchema = new mongoose.Schema({
   date: { type: Date, default: Date.now }, // Keep for backward compatibility
   status: { 
     type: String, 
-    enum: ["pending", "in-progress", "completed"], 
+    enum: TASK_STATUSES, // Allowed moves between them: services/workflowService.js
     default: "pending" 
   },
+  statusReason: {
+    type: String,  // Why the task is in its current status (e.g. cancelled, escalated)
+    trim: true,
+    maxlength: 2000,
+    default: null
+  },
+  resolutionNote: {
+    type: String,  // How the task was resolved
+    trim: true,
+    maxlength: 2000,
+    default: null
+  },
   completedDate: { 
     type: Date,
     default: null  // Will be set when status changes to "completed"
@@ -36,20 +51,78 @@ const taskSchema = new mongoose.Schema({
     min: 0,
     max: 1,
     default: null
+  },
+  // Priority and SLA fields (see services/slaService.js)
+  priority: {
+    type: String,
+    enum: TASK_PRIORITIES,
+    default: DEFAULT_PRIORITY
+  },
+  prioritySource: {
+    type: String,
+    enum: ["sla", "manual"],
+    default: "sla"  // "sla": follows the category's SLA policy
+  },
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  dueAtSource: {
+    type: String,
+    enum: ["sla", "manual", null],
+    default: null
+  },
+  atRiskAt: {
+    type: Date,
+    default: null  // Open tasks past this point are at risk of breaching
+  },
+  slaBreachedAt: {
+    type: Date,
+    default: null  // Set to dueAt once the task is found open (or completed) after it
+  },
+  followUpAt: {
+    type: Date,
+    default: null  // Callback time; snoozed tasks go back to pending then
+  },
+  followUpNotifiedAt: {
+    type: Date,
+    default: null  // Set once the follow-up has come due; cleared when it is rescheduled
+  },
+  commentCount: {
+    type: Number,
+    default: 0  // Kept in step with the TaskComment thread
   }
 }, {
   timestamps: true  // Automatically adds createdAt and updatedAt
 });
 
+// Deleted tasks go to the trash (deletedAt/deletedBy) and are hidden from queries
+taskSchema.plugin(softDelete);
+
 // Indexes for better query performance
 taskSchema.index({ agent: 1, status: 1 });
 taskSchema.index({ createdAt: -1 });
 taskSchema.index({ completedDate: -1 });
 taskSchema.index({ updatedAt: -1 });
+taskSchema.index({ status: 1, createdAt: -1 }); // For status-filtered listings
+taskSchema.index({ agent: 1, createdAt: -1 }); // For agent-filtered listings
 // Category indexes for filtering and analytics
 taskSchema.index({ category: 1 });
 taskSchema.index({ category: 1, status: 1 });
 taskSchema.index({ agent: 1, category: 1 });
 taskSchema.index({ category: 1, createdAt: -1 });
+// SLA indexes for overdue/at-risk listings and breach detection
+taskSchema.index({ status: 1, dueAt: 1 });
+taskSchema.index({ status: 1, atRiskAt: 1 });
+taskSchema.index({ slaBreachedAt: 1, dueAt: 1 });
+taskSchema.index({ priority: 1 });
+// Follow-up indexes for the due-now queue and the follow-up scheduler
+taskSchema.index({ agent: 1, followUpAt: 1 });
+taskSchema.index({ followUpNotifiedAt: 1, followUpAt: 1 });
+// Full-text search over names and notes (see services/taskSearchService.js)
+taskSchema.index(
+  { firstName: "text", notes: "text" },
+  { name: "task_text_search", weights: { firstName: 5, notes: 1 } }
+);
 
-module.exports = mongoose.model("Task", taskSchema);
\ No newline at end of file
+module.exports = mongoose.model("Task", taskSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * File attached to a task (call recording, screenshot, signed form)
+ * The file itself lives in attachment storage (see services/attachmentStorage.js) under storageKey.
+ */
+const taskAttachmentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    filename: {
+      type: String, // Sanitized client file name, used for downloads
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number, // Bytes
+      required: true,
+    },
+    storage: {
+      type: String, // Adapter the file was saved with, e.g. "local"
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "uploadedByModel",
+      default: null,
+    },
+    uploadedByModel: {
+      type: String,
+      enum: ["User", "Agent"],
+    },
+    uploadedByRole: {
+      type: String, // Role at the time of upload, or "api-key"
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for performance
+taskAttachmentSchema.index({ task: 1, createdAt: 1 }); // For a task's attachments
+taskAttachmentSchema.index({ storage: 1, storageKey: 1 }, { unique: true });
+
+module.exports = mongoose.model("TaskAttachment", taskAttachmentSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * Comment in a task's thread (call outcomes, internal notes)
+ * Edits keep the previous text in `edits`; @mentions are resolved to accounts when
+ * the comment is saved (see services/mentionService.js).
+ */
+const taskCommentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "authorModel",
+      required: true,
+    },
+    authorModel: {
+      type: String,
+      enum: ["User", "Agent"],
+      required: true,
+    },
+    authorRole: {
+      type: String, // Role at the time of writing
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    mentions: [
+      {
+        _id: false,
+        account: {
+          type: mongoose.Schema.Types.ObjectId,
+          refPath: "mentions.accountModel",
+          required: true,
+        },
+        accountModel: {
+          type: String,
+          enum: ["User", "Agent"],
+          required: true,
+        },
+        handle: String, // As written, without the "@"
+      },
+    ],
+    edits: [
+      {
+        _id: false,
+        body: String, // Text before the edit
+        editedAt: { type: Date, default: Date.now },
+      },
+    ],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Indexes for performance
+taskCommentSchema.index({ task: 1, createdAt: 1 }); // For a task's thread
+taskCommentSchema.index({ "mentions.account": 1, createdAt: -1 }); // For "mentions of me"
+taskCommentSchema.index({ author: 1, createdAt: -1 });
+
+module.exports = mongoose.model("TaskComment", taskCommentSchema);
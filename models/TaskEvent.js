@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+/**
+ * One change in a task's lifecycle (status, category, assignment, notes)
+ * Append-only - the task's history and the agent activity feed are read from here.
+ */
+const taskEventSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agent", // Assignee once the event has happened
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ["created", "status_changed", "category_changed", "reassigned", "notes_changed", "details_changed", "deleted", "restored", "priority_changed", "due_date_changed", "sla_breached", "follow_up_changed", "follow_up_due"],
+      required: true,
+    },
+    field: {
+      type: String, // Task field that changed, e.g. "status"
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "bulk", "upload", "ai", "system"],
+      default: "manual",
+    },
+    reason: {
+      type: String, // Optional explanation, e.g. why a task was handed over
+      trim: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "actorModel",
+      default: null, // Null for system changes
+    },
+    actorModel: {
+      type: String,
+      enum: ["User", "Agent"],
+    },
+    actorRole: {
+      type: String, // Role at the time of the change, or "api-key"
+    },
+    taskLabel: {
+      type: String, // Notes/name snapshot so feeds stay readable after the task is deleted
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for performance
+taskEventSchema.index({ task: 1, createdAt: 1 }); // For a task's timeline
+taskEventSchema.index({ agent: 1, createdAt: -1 }); // For the agent activity feed
+taskEventSchema.index({ type: 1, createdAt: -1 }); // For filtering by event type
+
+module.exports = mongoose.model("TaskEvent", taskEventSchema);
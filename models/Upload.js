@@ -44,6 +44,24 @@ const uploadSchema = new mongoose.Schema(
         ref: "Task",
       },
     ],
+    assignmentStrategy: {
+      type: String, // See services/assignmentStrategies.js
+    },
+    distribution: [
+      {
+        _id: false,
+        agent: { type: mongoose.Schema.Types.ObjectId, ref: "Agent" },
+        count: Number, // Tasks this agent received
+      },
+    ],
+    routing: {
+      type: mongoose.Schema.Types.Mixed, // Per category: { specialist, generalist, fallback } counts
+      default: null,
+    },
+    unassignedCount: {
+      type: Number, // Tasks left in the unassigned queue because no agent had capacity
+      default: 0,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
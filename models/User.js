@@ -1,9 +1,43 @@
 const mongoose = require("mongoose");
+const { USER_ROLES } = require("../utils/roles");
 
 const userSchema = new mongoose.Schema({
   name : String ,
   email: { type: String, unique: true },
   password: String,
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: "viewer", // Least privilege - admins are promoted explicitly (see scripts/migrateRoles.js)
+  },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  // Brute-force protection (see services/loginProtection.js)
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date, default: null },
+  lockUntil: { type: Date, default: null },
+  // Optional TOTP two-factor authentication (see services/totpService.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null }, // Encrypted at rest
+    pendingSecret: { type: String, default: null }, // Encrypted, awaiting confirmation during enrolment
+    recoveryCodes: { type: [String], default: [] }, // SHA-256 hashes, each usable once
+    lastUsedStep: { type: Number, default: -1 }, // Rejects replays of an accepted code
+    enabledAt: { type: Date, default: null },
+  },
 });
 
-module.exports = mongoose.model("User", userSchema);
\ No newline at end of file
+// Never serialize credentials or two-factor secrets in API responses
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    if (ret.twoFactor) {
+      ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+    }
+    return ret;
+  },
+});
+
+userSchema.index({ role: 1 }); // For listing accounts by role
+
+module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+/**
+ * Soft-delete plugin
+ * Adds a deletedAt/deletedBy trail and hides deleted documents from every
+ * query and aggregation unless the query opts in with `.withDeleted()`
+ * (or filters on deletedAt itself, as the trash listings do).
+ * Deleted documents are removed for good by services/trashService.js.
+ */
+
+// Query operations that only ever see live documents
+const QUERY_HOOKS = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "updateOne",
+  "updateMany",
+];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "deletedByModel",
+      default: null,
+    },
+    deletedByModel: {
+      type: String,
+      enum: ["User", "Agent"],
+      default: null,
+    },
+  });
+
+  // Trash listings and the purge job look up by deletion time
+  schema.index({ deletedAt: 1 });
+
+  /**
+   * Include deleted documents in this query
+   */
+  schema.query.withDeleted = function () {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this._withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) return;
+    this.where({ deletedAt: null });
+  });
+
+  // Aggregations start from live documents unless the first stage already filters on deletedAt.
+  // An existing leading $match is extended rather than preceded, so $text stays the first stage.
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+    if (first && first.$match) {
+      if (!Object.prototype.hasOwnProperty.call(first.$match, "deletedAt")) first.$match.deletedAt = null;
+      return;
+    }
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+
+  /**
+   * Move the document to the trash
+   * @param {Object} deletedBy - { actor, actorModel } of the account deleting it (see getRequestActor)
+   * @param {Date} deletedAt - Shared timestamp when related documents are deleted together
+   */
+  schema.methods.softDelete = function ({ actor, actorModel } = {}, deletedAt = new Date()) {
+    this.deletedAt = deletedAt;
+    this.deletedBy = actor || null;
+    this.deletedByModel = actor ? actorModel : null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  /**
+   * Move every live document matching the filter to the trash
+   * @returns {Promise<Object>} updateMany result
+   */
+  schema.statics.softDeleteMany = function (filter, { actor, actorModel } = {}, deletedAt = new Date()) {
+    return this.updateMany(filter, {
+      $set: { deletedAt, deletedBy: actor || null, deletedByModel: actor ? actorModel : null },
+    });
+  };
+
+  /**
+   * Bring the document back from the trash
+   */
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.deletedByModel = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = softDeletePlugin;
@@ -1,30 +1,143 @@
 const express = require("express");
-const { addAgent, getAgents, deleteAgent, updateAgent } = require("../controllers/agentController");
+const {
+  addAgent,
+  getAgents,
+  deleteAgent,
+  updateAgent,
+  offboardAgent,
+  reassignOpenTasks,
+  getAgentSchedule,
+  updateAgentSchedule,
+  inviteAgent,
+  getInvitations,
+  revokeInvitation
+} = require("../controllers/agentController");
+const {
+  getAgentSkills,
+  replaceAgentSkills,
+  addAgentSkill,
+  removeAgentSkill,
+  setCategoryProficiency,
+  removeCategoryProficiency
+} = require("../controllers/agentSkillsController");
 const authenticate = require("../middleware/authMiddleware"); // Import authentication middleware
+const authorize = require("../middleware/authorize"); // Import role-based authorization middleware
+const audit = require("../middleware/audit"); // Import audit trail middleware
 
 const router = express.Router(); // Create an Express router instance
 
 /**
  * @route   POST /api/agents
  * @desc    Add a new agent
- * @access  Private (Requires authentication)
+ * @access  Private (admin, supervisor)
  */
-router.post("/agents", authenticate, addAgent);
-router.post("/agents/update", authenticate, updateAgent);
+router.post("/agents", authenticate, authorize(["admin", "supervisor"]), audit("agent.create", { targetType: "agent" }), addAgent);
+router.post("/agents/update", authenticate, authorize(["admin", "supervisor"]), audit("agent.update", { targetType: "agent" }), updateAgent);
 
 
 /**
  * @route   GET /api/agents
  * @desc    Retrieve all agents
- * @access  Private (Requires authentication)
+ * @access  Private (admin, supervisor, viewer)
  */
-router.get("/agents", authenticate, getAgents);
+router.get("/agents", authenticate, authorize(["admin", "supervisor", "viewer"]), getAgents);
 
 /**
  * @route   DELETE /api/agents/:id
- * @desc    Delete an agent by ID
- * @access  Private (Requires authentication)
+ * @desc    Move a decommissioned agent to the trash (their tasks stay for reporting)
+ * @access  Private (admin)
  */
-router.delete("/agents/:id", authenticate, deleteAgent);
+router.delete("/agents/:id", authenticate, authorize(["admin"]), audit("agent.delete", { targetType: "agent", targetParam: "id" }), deleteAgent);
+
+/**
+ * @route   POST /api/agents/:id/offboard
+ * @desc    Decommission an agent and spread their open tasks over the available agents
+ * @access  Private (admin)
+ */
+router.post("/agents/:id/offboard", authenticate, authorize(["admin"]), audit("agent.offboard", { targetType: "agent", targetParam: "id" }), offboardAgent);
+
+/**
+ * @route   POST /api/agents/:id/reassign-open
+ * @desc    Hand all open tasks of an agent to one available agent, or spread them over all available agents
+ * @access  Private (admin)
+ */
+router.post("/agents/:id/reassign-open", authenticate, authorize(["admin"]), audit("agent.reassign_open_tasks", { targetType: "agent", targetParam: "id" }), reassignOpenTasks);
+
+/**
+ * @route   GET /api/agents/:id/schedule
+ * @desc    Get an agent's working hours, capacity, open task count and whether they are on shift
+ * @access  Private (admin, supervisor, viewer, agent for themselves)
+ */
+router.get("/agents/:id/schedule", authenticate, authorize(["admin", "supervisor", "viewer", "agent"]), getAgentSchedule);
+
+/**
+ * @route   PUT /api/agents/:id/schedule
+ * @desc    Replace an agent's weekly working hours and timezone
+ * @access  Private (admin, supervisor)
+ */
+router.put("/agents/:id/schedule", authenticate, authorize(["admin", "supervisor"]), audit("agent.schedule_update", { targetType: "agent", targetParam: "id" }), updateAgentSchedule);
+
+/**
+ * @route   GET /api/agents/:id/skills
+ * @desc    Get an agent's skill tags and category proficiencies
+ * @access  Private (admin, supervisor, viewer, agent for themselves)
+ */
+router.get("/agents/:id/skills", authenticate, authorize(["admin", "supervisor", "viewer", "agent"]), getAgentSkills);
+
+/**
+ * @route   PUT /api/agents/:id/skills
+ * @desc    Replace an agent's skill tags and/or category proficiencies
+ * @access  Private (admin, supervisor)
+ */
+router.put("/agents/:id/skills", authenticate, authorize(["admin", "supervisor"]), audit("agent.skills_update", { targetType: "agent", targetParam: "id" }), replaceAgentSkills);
+
+/**
+ * @route   POST /api/agents/:id/skills
+ * @desc    Add a skill tag to an agent
+ * @access  Private (admin, supervisor)
+ */
+router.post("/agents/:id/skills", authenticate, authorize(["admin", "supervisor"]), audit("agent.skill_add", { targetType: "agent", targetParam: "id" }), addAgentSkill);
+
+/**
+ * @route   DELETE /api/agents/:id/skills/:skill
+ * @desc    Remove a skill tag from an agent
+ * @access  Private (admin, supervisor)
+ */
+router.delete("/agents/:id/skills/:skill", authenticate, authorize(["admin", "supervisor"]), audit("agent.skill_remove", { targetType: "agent", targetParam: "id" }), removeAgentSkill);
+
+/**
+ * @route   PUT /api/agents/:id/proficiency/:category
+ * @desc    Set an agent's proficiency (1-5) in a task category
+ * @access  Private (admin, supervisor)
+ */
+router.put("/agents/:id/proficiency/:category", authenticate, authorize(["admin", "supervisor"]), audit("agent.proficiency_set", { targetType: "agent", targetParam: "id" }), setCategoryProficiency);
+
+/**
+ * @route   DELETE /api/agents/:id/proficiency/:category
+ * @desc    Remove an agent's proficiency in a task category
+ * @access  Private (admin, supervisor)
+ */
+router.delete("/agents/:id/proficiency/:category", authenticate, authorize(["admin", "supervisor"]), audit("agent.proficiency_remove", { targetType: "agent", targetParam: "id" }), removeCategoryProficiency);
+
+/**
+ * @route   POST /api/agents/invitations
+ * @desc    Invite an agent by email (token with expiry and preassigned status)
+ * @access  Private (admin, supervisor)
+ */
+router.post("/agents/invitations", authenticate, authorize(["admin", "supervisor"]), audit("invitation.create", { targetType: "invitation" }), inviteAgent);
+
+/**
+ * @route   GET /api/agents/invitations
+ * @desc    List invitations with their state (pending, accepted, revoked, expired)
+ * @access  Private (admin, supervisor)
+ */
+router.get("/agents/invitations", authenticate, authorize(["admin", "supervisor"]), getInvitations);
+
+/**
+ * @route   DELETE /api/agents/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (admin, supervisor)
+ */
+router.delete("/agents/invitations/:id", authenticate, authorize(["admin", "supervisor"]), audit("invitation.revoke", { targetType: "invitation", targetParam: "id" }), revokeInvitation);
 
 module.exports = router; // Export the router for use in the main app
@@ -5,13 +5,15 @@ const {
   getAgentActivity,
 } = require("../controllers/agentStatsController");
 const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
 
 const router = express.Router();
 
-// All routes require authentication
-router.get("/stats/:agentId", authenticate, getAgentStats);
-router.get("/performance/:agentId", authenticate, getAgentPerformance);
-router.get("/activity/:agentId", authenticate, getAgentActivity);
+// All routes require authentication - agents may only read their own stats
+const statsRoles = ["admin", "supervisor", "viewer", "agent"];
+router.get("/stats/:agentId", authenticate, authorize(statsRoles), getAgentStats);
+router.get("/performance/:agentId", authenticate, authorize(statsRoles), getAgentPerformance);
+router.get("/activity/:agentId", authenticate, authorize(statsRoles), getAgentActivity);
 
 module.exports = router;
 
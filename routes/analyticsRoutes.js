@@ -4,46 +4,58 @@ const {
   getTasksByAgent,
   getTaskTrends,
   getAgentPerformance,
-  getRecentActivity
+  getRecentActivity,
+  getSlaCompliance
 } = require("../controllers/analyticsController");
 const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
+
+const analyticsRoles = ["admin", "supervisor", "viewer"];
+const analyticsScopes = ["analytics:read"];
 
 const router = express.Router();
 
 /**
  * @route   GET /api/analytics/stats
  * @desc    Get overall statistics
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
  */
-router.get("/stats", authenticate, getOverallStats);
+router.get("/stats", authenticate, authorize(analyticsRoles, analyticsScopes), getOverallStats);
 
 /**
  * @route   GET /api/analytics/distribution
  * @desc    Get task distribution by agent
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
  */
-router.get("/distribution", authenticate, getTasksByAgent);
+router.get("/distribution", authenticate, authorize(analyticsRoles, analyticsScopes), getTasksByAgent);
 
 /**
  * @route   GET /api/analytics/trends
  * @desc    Get task trends over last 30 days
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
  */
-router.get("/trends", authenticate, getTaskTrends);
+router.get("/trends", authenticate, authorize(analyticsRoles, analyticsScopes), getTaskTrends);
 
 /**
  * @route   GET /api/analytics/performance
  * @desc    Get agent performance metrics
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
  */
-router.get("/performance", authenticate, getAgentPerformance);
+router.get("/performance", authenticate, authorize(analyticsRoles, analyticsScopes), getAgentPerformance);
 
 /**
  * @route   GET /api/analytics/recent
  * @desc    Get recent activity (last 10 tasks)
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
+ */
+router.get("/recent", authenticate, authorize(analyticsRoles, analyticsScopes), getRecentActivity);
+
+/**
+ * @route   GET /api/analytics/sla
+ * @desc    Get SLA compliance per agent and per category
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
  */
-router.get("/recent", authenticate, getRecentActivity);
+router.get("/sla", authenticate, authorize(analyticsRoles, analyticsScopes), getSlaCompliance);
 
 module.exports = router;
 
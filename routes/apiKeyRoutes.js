@@ -0,0 +1,30 @@
+const express = require("express");
+const { addApiKey, getApiKeys, revokeApiKey } = require("../controllers/apiKeyController");
+const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create a scoped API key (the key is returned once)
+ * @access  Private (admin)
+ */
+router.post("/", authenticate, authorize(["admin"]), audit("api_key.create", { targetType: "api-key" }), addApiKey);
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys with scopes and last-used information
+ * @access  Private (admin)
+ */
+router.get("/", authenticate, authorize(["admin"]), getApiKeys);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (admin)
+ */
+router.delete("/:id", authenticate, authorize(["admin"]), audit("api_key.revoke", { targetType: "api-key", targetParam: "id" }), revokeApiKey);
+
+module.exports = router;
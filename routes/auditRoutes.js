@@ -0,0 +1,15 @@
+const express = require("express");
+const { getAuditLogs } = require("../controllers/auditController");
+const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/audit
+ * @desc    Filterable, paginated audit trail of mutating operations
+ * @access  Private (admin)
+ */
+router.get("/", authenticate, authorize(["admin"]), getAuditLogs);
+
+module.exports = router;
@@ -1,15 +1,157 @@
 const express = require("express");
-const { login , signup, logout} = require("../controllers/authController"); // Import the login controller
+const {
+  login,
+  loginTwoFactor,
+  signup,
+  getInvitation,
+  logout,
+  clearSessionCookies,
+  logoutAll,
+  refresh,
+  getCsrfToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  getSecurityEvents
+} = require("../controllers/authController"); // Import the auth controllers
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus
+} = require("../controllers/twoFactorController"); // Import the two-factor controllers
+const authenticate = require("../middleware/authMiddleware"); // Import authentication middleware
+const authorize = require("../middleware/authorize"); // Import role-based authorization middleware
+const audit = require("../middleware/audit"); // Import audit trail middleware
+const { ROLES } = require("../utils/roles");
 
 const router = express.Router(); // Create an Express router instance
 
 /**
  * @route   POST /api/auth/login
- * @desc    Authenticate user and return a JWT token
+ * @desc    Authenticate user and return an access/refresh token pair
  * @access  Public
  */
-router.post("/login", login);
-router.post("/signup" , signup);
-router.get("/logout" , logout)
+router.post("/login", audit("auth.login", { targetType: "session" }), login);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: exchange the challenge token and a TOTP/recovery code for tokens
+ * @access  Public (requires a challenge token from /login)
+ */
+router.post("/login/2fa", audit("auth.login", { targetType: "session" }), loginTwoFactor);
+
+/**
+ * @route   POST /api/auth/signup
+ * @desc    Create an account - agents must pass an inviteToken; open signup depends on SIGNUP_MODE
+ * @access  Public
+ */
+router.post("/signup" , audit("auth.signup", { targetType: "account" }), signup);
+
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Get the email/name of a pending invitation to prefill the signup form
+ * @access  Public
+ */
+router.get("/invitations/:token", getInvitation);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate a refresh token and issue a new access token
+ * @access  Public (requires a valid refresh token; cookie requests also need X-CSRF-Token)
+ */
+router.post("/refresh", refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session and clear auth cookies
+ * @access  Public (the session is only revoked for its current refresh token; cookie requests also need X-CSRF-Token)
+ */
+router.post("/logout", audit("auth.logout", { targetType: "session" }), logout);
+
+/**
+ * @route   GET /api/auth/logout
+ * @desc    Clear auth cookies only (the session stays valid until it expires or is revoked with POST)
+ * @access  Public
+ */
+router.get("/logout", clearSessionCookies);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the logged-in account
+ * @access  Private (requires authentication)
+ */
+router.post("/logout-all", authenticate, authorize(ROLES), audit("auth.logout_all", { targetType: "session" }), logoutAll);
+
+/**
+ * @route   GET /api/auth/csrf
+ * @desc    Get the CSRF token to send as X-CSRF-Token with cookie sessions
+ * @access  Private (requires authentication)
+ */
+router.get("/csrf", authenticate, authorize(ROLES), getCsrfToken);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post("/forgot-password", forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token (revokes all sessions)
+ * @access  Public (requires a valid reset token)
+ */
+router.post("/reset-password", audit("auth.password_reset", { targetType: "account" }), resetPassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with a verification token
+ * @access  Public (requires a valid verification token)
+ */
+router.post("/verify-email", audit("auth.email_verify", { targetType: "account" }), verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a fresh verification link
+ * @access  Public
+ */
+router.post("/resend-verification", resendVerification);
+
+/**
+ * @route   POST /api/auth/unlock
+ * @desc    Clear a login lockout for the account with the given email
+ * @access  Private (admin)
+ */
+router.post("/unlock", authenticate, authorize(["admin"]), audit("auth.unlock", { targetType: "account" }), unlockAccount);
+
+/**
+ * @route   GET /api/auth/security-events
+ * @desc    List failed logins, throttles and lockouts for auditing
+ * @access  Private (admin)
+ */
+router.get("/security-events", authenticate, authorize(["admin"]), getSecurityEvents);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status of the logged-in admin
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrolment (returns secret and otpauth URI)
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code (returns recovery codes once)
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor off (password + code or recovery code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a code)
+ * @access  Private (admin)
+ */
+router.get("/2fa", authenticate, authorize(["admin"]), getTwoFactorStatus);
+router.post("/2fa/setup", authenticate, authorize(["admin"]), setupTwoFactor);
+router.post("/2fa/enable", authenticate, authorize(["admin"]), audit("auth.2fa_enable", { targetType: "account" }), enableTwoFactor);
+router.post("/2fa/disable", authenticate, authorize(["admin"]), audit("auth.2fa_disable", { targetType: "account" }), disableTwoFactor);
+router.post("/2fa/recovery-codes", authenticate, authorize(["admin"]), audit("auth.2fa_recovery_codes", { targetType: "account" }), regenerateRecoveryCodes);
 
 module.exports = router; // Export the router for use in the main app
@@ -9,16 +9,17 @@ const {
 } = require("../controllers/categorizationController");
 const authenticate = require("../middleware/authMiddleware");
 const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
 
 const router = express.Router();
 
-// All routes require authentication
-router.post("/task/:taskId", authenticate, categorizeSingleTask);
-router.post("/bulk", authenticate, categorizeBulkTasks);
-router.get("/stats", authenticate, getCategoryStats);
-router.get("/categories", authenticate, getCategories);
-router.get("/health", authenticate, getHealthStatus);
-router.post("/rediscover", authenticate, authorize(["admin"]), rediscoverModel);
+// All routes require authentication; API keys need the scope listed on the route
+router.post("/task/:taskId", authenticate, authorize(["admin", "supervisor"], ["tasks:write"]), audit("task.categorize", { targetType: "task", targetParam: "taskId" }), categorizeSingleTask);
+router.post("/bulk", authenticate, authorize(["admin", "supervisor"], ["tasks:write"]), audit("task.categorize_bulk", { targetType: "task" }), categorizeBulkTasks);
+router.get("/stats", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["analytics:read"]), getCategoryStats);
+router.get("/categories", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), getCategories);
+router.get("/health", authenticate, authorize(["admin", "supervisor", "viewer"]), getHealthStatus);
+router.post("/rediscover", authenticate, authorize(["admin"]), audit("categorization.rediscover_model", { targetType: "ai-model" }), rediscoverModel);
 
 module.exports = router;
 
@@ -0,0 +1,39 @@
+const express = require("express");
+const { getProfile, updateProfile, changePassword } = require("../controllers/profileController");
+const { getMyMentions } = require("../controllers/taskCommentController");
+const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+const { ROLES } = require("../utils/roles");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/me
+ * @desc    Get the logged-in user's or agent's profile
+ * @access  Private (any role)
+ */
+router.get("/", authenticate, authorize(ROLES), getProfile);
+
+/**
+ * @route   PATCH /api/me
+ * @desc    Update own name, email and (agents) mobile
+ * @access  Private (any role)
+ */
+router.patch("/", authenticate, authorize(ROLES), audit("profile.update", { targetType: "account" }), updateProfile);
+
+/**
+ * @route   POST /api/me/password
+ * @desc    Change own password (requires the current password, signs out all sessions)
+ * @access  Private (any role)
+ */
+router.post("/password", authenticate, authorize(ROLES), audit("profile.password_change", { targetType: "account" }), changePassword);
+
+/**
+ * @route   GET /api/me/mentions
+ * @desc    Task comments that @mention the logged-in user or agent
+ * @access  Private (any role)
+ */
+router.get("/mentions", authenticate, authorize(ROLES), getMyMentions);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const {
+  getAssignmentSettings,
+  updateAssignmentSettings,
+  getWorkflowSettings,
+  updateWorkflowSettings,
+} = require("../controllers/settingsController");
+const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/settings/assignment
+ * @desc    Default assignment strategy for uploads and the available strategies
+ * @access  Private (admin, supervisor)
+ */
+router.get("/assignment", authenticate, authorize(["admin", "supervisor"]), getAssignmentSettings);
+
+/**
+ * @route   PUT /api/settings/assignment
+ * @desc    Change the default assignment strategy for uploads
+ * @access  Private (admin)
+ */
+router.put("/assignment", authenticate, authorize(["admin"]), audit("settings.update", { targetType: "setting" }), updateAssignmentSettings);
+
+/**
+ * @route   GET /api/settings/workflow
+ * @desc    Allowed task status transitions and the fields each one requires
+ * @access  Private (admin, supervisor, viewer, agent)
+ */
+router.get("/workflow", authenticate, authorize(["admin", "supervisor", "viewer", "agent"]), getWorkflowSettings);
+
+/**
+ * @route   PUT /api/settings/workflow
+ * @desc    Replace the task status transitions (or reset them with { transitions: null })
+ * @access  Private (admin)
+ */
+router.put("/workflow", authenticate, authorize(["admin"]), audit("settings.update", { targetType: "setting" }), updateWorkflowSettings);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require("express");
+const { getSlaPolicies, upsertSlaPolicy, deleteSlaPolicy } = require("../controllers/slaPolicyController");
+const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/sla-policies
+ * @desc    SLA policies per category and the categories without one
+ * @access  Private (admin, supervisor, viewer)
+ */
+router.get("/", authenticate, authorize(["admin", "supervisor", "viewer"]), getSlaPolicies);
+
+/**
+ * @route   PUT /api/sla-policies/:category
+ * @desc    Create or replace a category's SLA policy (recomputes due dates of its open tasks)
+ * @access  Private (admin)
+ */
+router.put("/:category", authenticate, authorize(["admin"]), audit("sla_policy.update", { targetType: "sla_policy", targetParam: "category" }), upsertSlaPolicy);
+
+/**
+ * @route   DELETE /api/sla-policies/:category
+ * @desc    Remove a category's SLA policy
+ * @access  Private (admin)
+ */
+router.delete("/:category", authenticate, authorize(["admin"]), audit("sla_policy.delete", { targetType: "sla_policy", targetParam: "category" }), deleteSlaPolicy);
+
+module.exports = router;
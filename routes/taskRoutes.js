@@ -2,55 +2,210 @@ const express = require("express");
 const { 
   getTasks, 
   getTasksByAgent, 
+  getTaskHistory,
+  searchTasks,
+  createTask,
+  editTask,
+  snoozeTask,
+  getDueNowTasks,
+  reassignTask,
+  bulkReassignTasks,
+  getUnassignedTasks,
+  assignUnassignedTasks,
   deleteTasks, 
   updateTasks,
   bulkDeleteTasks,
   bulkUpdateTaskStatus
 } = require("../controllers/taskController"); // Import task controllers
+const {
+  getTaskComments,
+  addTaskComment,
+  editTaskComment,
+  deleteTaskComment
+} = require("../controllers/taskCommentController"); // Import task comment controllers
+const {
+  uploadTaskAttachments,
+  getTaskAttachments,
+  downloadTaskAttachment,
+  deleteTaskAttachment
+} = require("../controllers/taskAttachmentController"); // Import task attachment controllers
 const authenticate = require("../middleware/authMiddleware"); // Import authentication middleware
+const authorize = require("../middleware/authorize"); // Import role-based authorization middleware
+const audit = require("../middleware/audit"); // Import audit trail middleware
+const { loadAccessibleTask } = require("../middleware/taskAccess"); // Import task ownership checks
+const { acceptAttachments } = require("../utils/multerConfig"); // Import attachment upload handling
 
 const router = express.Router(); // Create an Express router instance
 
+const COMMENT_ACCESS_DENIED = "You can only access comments on your own tasks";
+const ATTACHMENT_ACCESS_DENIED = "You can only access attachments on your own tasks";
+
 /**
  * @route   GET /api/tasks
  * @desc    Fetch all tasks with agent details
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with tasks:read)
+ */
+router.get("/", authenticate, authorize(["admin", "supervisor", "viewer"], ["tasks:read"]), getTasks);
+
+/**
+ * @route   POST /api/tasks
+ * @desc    Create a single task (explicit or automatic agent, optional AI categorization)
+ * @access  Private (admin, supervisor; API keys with tasks:write)
+ */
+router.post("/", authenticate, authorize(["admin", "supervisor"], ["tasks:write"]), audit("task.create", { targetType: "task" }), createTask);
+
+/**
+ * @route   GET /api/tasks/search
+ * @desc    Search tasks by name, notes or phone number (agents only see their own tasks)
+ * @access  Private (all roles; API keys with tasks:read)
+ */
+router.get("/search", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), searchTasks);
+
+/**
+ * @route   GET /api/tasks/due-now
+ * @desc    Open tasks whose follow-up time has come (agents: their own queue)
+ * @access  Private (all roles; API keys with tasks:read)
+ */
+router.get("/due-now", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), getDueNowTasks);
+
+/**
+ * @route   GET /api/tasks/unassigned
+ * @desc    Open tasks waiting for an agent with capacity, oldest first
+ * @access  Private (admin, supervisor, viewer; API keys with tasks:read)
+ */
+router.get("/unassigned", authenticate, authorize(["admin", "supervisor", "viewer"], ["tasks:read"]), getUnassignedTasks);
+
+/**
+ * @route   POST /api/tasks/unassigned/assign
+ * @desc    Place queued tasks with agents who have room now
+ * @access  Private (admin, supervisor)
  */
-router.get("/", authenticate, getTasks);
+router.post("/unassigned/assign", authenticate, authorize(["admin", "supervisor"]), audit("task.assign_queued", { targetType: "task" }), assignUnassignedTasks);
 
 /**
  * @route   DELETE /api/tasks/bulk
- * @desc    Delete multiple tasks (bulk operation)
- * @access  Private (requires authentication, agents only)
+ * @desc    Move multiple tasks to the trash (bulk operation)
+ * @access  Private (agent)
  */
-router.delete("/bulk", authenticate, bulkDeleteTasks);
+router.delete("/bulk", authenticate, authorize(["agent"]), audit("task.bulk_delete", { targetType: "task" }), bulkDeleteTasks);
 
 /**
  * @route   POST /api/tasks/bulk/status
  * @desc    Update status for multiple tasks (bulk operation)
- * @access  Private (requires authentication, agents only)
+ * @access  Private (agent)
+ */
+router.post("/bulk/status", authenticate, authorize(["agent"]), audit("task.bulk_status", { targetType: "task" }), bulkUpdateTaskStatus);
+
+/**
+ * @route   POST /api/tasks/bulk/reassign
+ * @desc    Hand several open tasks over to one available agent
+ * @access  Private (admin)
+ */
+router.post("/bulk/reassign", authenticate, authorize(["admin"]), audit("task.bulk_reassign", { targetType: "agent" }), bulkReassignTasks);
+
+/**
+ * @route   POST /api/tasks/:taskId/reassign
+ * @desc    Hand an open task over to another available agent
+ * @access  Private (admin)
  */
-router.post("/bulk/status", authenticate, bulkUpdateTaskStatus);
+router.post("/:taskId/reassign", authenticate, authorize(["admin"]), audit("task.reassign", { targetType: "task", targetParam: "taskId" }), reassignTask);
 
 /**
  * @route   GET /api/tasks/:agentId
  * @desc    Fetch tasks assigned to a specific agent
- * @access  Private (requires authentication)
+ * @access  Private (all roles, agents only for themselves; API keys with tasks:read)
+ */
+router.get("/:agentId", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), getTasksByAgent);
+
+/**
+ * @route   POST /api/tasks/:taskId/snooze
+ * @desc    Snooze a task until a follow-up time, or reschedule a snoozed task
+ * @access  Private (admin, supervisor, agent for own tasks; API keys with tasks:write)
+ */
+router.post("/:taskId/snooze", authenticate, authorize(["admin", "supervisor", "agent"], ["tasks:write"]), audit("task.snooze", { targetType: "task", targetParam: "taskId" }), snoozeTask);
+
+/**
+ * @route   GET /api/tasks/:taskId/history
+ * @desc    Status, category, assignment and notes timeline of a task
+ * @access  Private (all roles, agents only for their own tasks; API keys with tasks:read)
  */
-router.get("/:agentId", authenticate, getTasksByAgent);
+router.get("/:taskId/history", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), getTaskHistory);
+
+/**
+ * @route   GET /api/tasks/:taskId/comments
+ * @desc    Comment thread of a task, oldest first
+ * @access  Private (all roles, agents only for their own tasks; API keys with tasks:read)
+ */
+router.get("/:taskId/comments", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), loadAccessibleTask(COMMENT_ACCESS_DENIED), getTaskComments);
+
+/**
+ * @route   POST /api/tasks/:taskId/comments
+ * @desc    Add a comment (with @mentions) to a task
+ * @access  Private (admin, supervisor, agent for own tasks)
+ */
+router.post("/:taskId/comments", authenticate, authorize(["admin", "supervisor", "agent"]), loadAccessibleTask(COMMENT_ACCESS_DENIED), audit("task.comment_add", { targetType: "task", targetParam: "taskId" }), addTaskComment);
+
+/**
+ * @route   PATCH /api/tasks/:taskId/comments/:commentId
+ * @desc    Edit own comment (previous text is kept in its edit history)
+ * @access  Private (comment author)
+ */
+router.patch("/:taskId/comments/:commentId", authenticate, authorize(["admin", "supervisor", "agent"]), loadAccessibleTask(COMMENT_ACCESS_DENIED), audit("task.comment_edit", { targetType: "task", targetParam: "taskId" }), editTaskComment);
+
+/**
+ * @route   DELETE /api/tasks/:taskId/comments/:commentId
+ * @desc    Delete a comment
+ * @access  Private (comment author, admin)
+ */
+router.delete("/:taskId/comments/:commentId", authenticate, authorize(["admin", "supervisor", "agent"]), loadAccessibleTask(COMMENT_ACCESS_DENIED), audit("task.comment_delete", { targetType: "task", targetParam: "taskId" }), deleteTaskComment);
+
+/**
+ * @route   GET /api/tasks/:taskId/attachments
+ * @desc    Attachments of a task (recordings, screenshots, signed forms)
+ * @access  Private (all roles, agents only for their own tasks; API keys with tasks:read)
+ */
+router.get("/:taskId/attachments", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), loadAccessibleTask(ATTACHMENT_ACCESS_DENIED), getTaskAttachments);
+
+/**
+ * @route   POST /api/tasks/:taskId/attachments
+ * @desc    Upload attachments (multipart "files" field, size and type limited; task access is checked before the upload is read)
+ * @access  Private (admin, supervisor, agent for own tasks; API keys with tasks:write)
+ */
+router.post("/:taskId/attachments", authenticate, authorize(["admin", "supervisor", "agent"], ["tasks:write"]), loadAccessibleTask(ATTACHMENT_ACCESS_DENIED), acceptAttachments, audit("task.attachment_upload", { targetType: "task", targetParam: "taskId" }), uploadTaskAttachments);
+
+/**
+ * @route   GET /api/tasks/:taskId/attachments/:attachmentId/download
+ * @desc    Download an attachment
+ * @access  Private (all roles, agents only for their own tasks; API keys with tasks:read)
+ */
+router.get("/:taskId/attachments/:attachmentId/download", authenticate, authorize(["admin", "supervisor", "viewer", "agent"], ["tasks:read"]), loadAccessibleTask(ATTACHMENT_ACCESS_DENIED), downloadTaskAttachment);
+
+/**
+ * @route   DELETE /api/tasks/:taskId/attachments/:attachmentId
+ * @desc    Delete an attachment
+ * @access  Private (admin, supervisor, agent for own uploads)
+ */
+router.delete("/:taskId/attachments/:attachmentId", authenticate, authorize(["admin", "supervisor", "agent"]), loadAccessibleTask(ATTACHMENT_ACCESS_DENIED), audit("task.attachment_delete", { targetType: "task", targetParam: "taskId" }), deleteTaskAttachment);
 
 /**
  * @route   DELETE /api/tasks/:taskId
- * @desc    Delete a single task
- * @access  Private (requires authentication)
+ * @desc    Move a single task to the trash
+ * @access  Private (admin, supervisor, agent for own tasks)
+ */
+router.delete("/:taskId", authenticate, authorize(["admin", "supervisor", "agent"]), audit("task.delete", { targetType: "task", targetParam: "taskId" }), deleteTasks);
+
+/**
+ * @route   PATCH /api/tasks/:taskId
+ * @desc    Edit a task's name, phone, notes, category or agent
+ * @access  Private (admin, supervisor, agent for own tasks without reassigning; API keys with tasks:write)
  */
-router.delete("/:taskId", authenticate, deleteTasks);
+router.patch("/:taskId", authenticate, authorize(["admin", "supervisor", "agent"], ["tasks:write"]), audit("task.edit", { targetType: "task", targetParam: "taskId" }), editTask);
 
 /**
  * @route   POST /api/tasks/:taskId
  * @desc    Update a single task status
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, agent for own tasks; API keys with tasks:write)
  */
-router.post("/:taskId", authenticate, updateTasks);
+router.post("/:taskId", authenticate, authorize(["admin", "supervisor", "agent"], ["tasks:write"]), audit("task.update", { targetType: "task", targetParam: "taskId" }), updateTasks);
 
 module.exports = router; // Export the router for use in the main app
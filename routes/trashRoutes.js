@@ -0,0 +1,42 @@
+const express = require("express");
+const {
+  getTrashedTasks,
+  getTrashedAgents,
+  restoreTask,
+  restoreAgent,
+} = require("../controllers/trashController");
+const authenticate = require("../middleware/authMiddleware");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/trash/tasks
+ * @desc    Deleted tasks awaiting purge, most recently deleted first
+ * @access  Private (admin, supervisor)
+ */
+router.get("/tasks", authenticate, authorize(["admin", "supervisor"]), getTrashedTasks);
+
+/**
+ * @route   GET /api/trash/agents
+ * @desc    Deleted agents awaiting purge, most recently deleted first
+ * @access  Private (admin, supervisor)
+ */
+router.get("/agents", authenticate, authorize(["admin", "supervisor"]), getTrashedAgents);
+
+/**
+ * @route   POST /api/trash/tasks/:id/restore
+ * @desc    Restore a deleted task (its agent must not be in the trash)
+ * @access  Private (admin, supervisor)
+ */
+router.post("/tasks/:id/restore", authenticate, authorize(["admin", "supervisor"]), audit("task.restore", { targetType: "task", targetParam: "id" }), restoreTask);
+
+/**
+ * @route   POST /api/trash/agents/:id/restore
+ * @desc    Restore a deleted agent and the tasks deleted along with them
+ * @access  Private (admin)
+ */
+router.post("/agents/:id/restore", authenticate, authorize(["admin"]), audit("agent.restore", { targetType: "agent", targetParam: "id" }), restoreAgent);
+
+module.exports = router;
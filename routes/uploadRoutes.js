@@ -7,44 +7,46 @@ const {
 } = require("../controllers/uploadStatsController"); // Import upload stats controller
 const { getUploadProgress } = require("../controllers/progressController"); // Import progress controller
 const authenticate = require("../middleware/authMiddleware"); // Import authentication middleware
-const upload = require("../utils/multerConfig"); // Import multer configuration for file uploads
+const authorize = require("../middleware/authorize"); // Import role-based authorization middleware
+const audit = require("../middleware/audit"); // Import audit trail middleware
+const { upload } = require("../utils/multerConfig"); // Import multer configuration for file uploads
 
 const router = express.Router(); // Create an Express router instance
 
 /**
  * @route   POST /api/upload
  * @desc    Upload a CSV file and distribute tasks among agents
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor; API keys with upload:write)
  * @param   file - CSV file containing task data
  */
-router.post("/", authenticate, upload.single("file"), uploadCSV);
+router.post("/", authenticate, authorize(["admin", "supervisor"], ["upload:write"]), audit("upload.create", { targetType: "upload" }), upload.single("file"), uploadCSV);
 
 /**
  * @route   GET /api/upload/progress/:jobId
  * @desc    Get real-time upload progress via Server-Sent Events
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with upload:write)
  */
-router.get("/progress/:jobId", authenticate, getUploadProgress);
+router.get("/progress/:jobId", authenticate, authorize(["admin", "supervisor", "viewer"], ["upload:write"]), getUploadProgress);
 
 /**
  * @route   GET /api/upload/stats
  * @desc    Get overall upload statistics
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
  */
-router.get("/stats", authenticate, getUploadStats);
+router.get("/stats", authenticate, authorize(["admin", "supervisor", "viewer"], ["analytics:read"]), getUploadStats);
 
 /**
  * @route   GET /api/upload/history
  * @desc    Get upload history (recent uploads)
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with analytics:read)
  */
-router.get("/history", authenticate, getUploadHistory);
+router.get("/history", authenticate, authorize(["admin", "supervisor", "viewer"], ["analytics:read"]), getUploadHistory);
 
 /**
  * @route   GET /api/upload/:id
  * @desc    Get specific upload details by ID
- * @access  Private (requires authentication)
+ * @access  Private (admin, supervisor, viewer; API keys with upload:write)
  */
-router.get("/:id", authenticate, getUploadDetails);
+router.get("/:id", authenticate, authorize(["admin", "supervisor", "viewer"], ["upload:write"]), getUploadDetails);
 
 module.exports = router; // Export the router for use in the main app
@@ -10,6 +10,12 @@ const taskRoutes = require("./routes/taskRoutes");
 const uploadRoutes = require("./routes/uploadRoutes");
 const analyticsRoutes = require("./routes/analyticsRoutes");
 const categorizationRoutes = require("./routes/categorizationRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const profileRoutes = require("./routes/profileRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const trashRoutes = require("./routes/trashRoutes");
+const settingsRoutes = require("./routes/settingsRoutes");
+const slaPolicyRoutes = require("./routes/slaPolicyRoutes");
 const cookieParser = require("cookie-parser");
 
 // CORS Configuration - Production-ready with environment variables
@@ -81,6 +87,12 @@ const matchesAllowedOrigin = (origin) => {
 };
 
 const app = express();
+
+// Behind a load balancer/proxy, trust X-Forwarded-For so req.ip is the client address
+// (used for per-IP login throttling). Set TRUST_PROXY to the number of proxy hops.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -122,7 +134,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-API-Key'],
   exposedHeaders: ['Content-Range', 'X-Content-Range'],
   maxAge: 86400, // 24 hours - cache preflight requests
 }));
@@ -153,6 +165,12 @@ app.use("/api/tasks", taskRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/categorization", categorizationRoutes); // AI categorization routes
+app.use("/api/api-keys", apiKeyRoutes); // Integration API key management
+app.use("/api/me", profileRoutes); // Self-service profile and password change
+app.use("/api/audit", auditRoutes); // Audit trail (admin)
+app.use("/api/trash", trashRoutes); // Deleted tasks and agents (restore before purge)
+app.use("/api/settings", settingsRoutes); // Runtime settings such as the default assignment strategy
+app.use("/api/sla-policies", slaPolicyRoutes); // Due dates per task category
 
 const PORT = process.env.PORT || 5000;
 
@@ -0,0 +1,97 @@
+/**
+ * Migration script to seed task history for tasks created before TaskEvent existed
+ * Run this once after deploying task history
+ *
+ * For every task without events it writes:
+ *   - a "created" event at the task's createdAt
+ *   - a "status_changed" event at completedDate for completed tasks
+ * Intermediate changes were never recorded, so they can't be recovered.
+ *
+ * Usage: node scripts/backfillTaskEvents.js
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const TaskEvent = require("../models/TaskEvent");
+
+const BATCH_SIZE = 500;
+
+const backfillTaskEvents = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URL || process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log("MongoDB Connected");
+
+    const tasksWithHistory = new Set(
+      (await TaskEvent.distinct("task")).map((id) => id.toString())
+    );
+
+    let batch = [];
+    let taskCount = 0;
+    let eventCount = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      // Raw insert so the historical createdAt values aren't replaced by "now"
+      await TaskEvent.collection.insertMany(batch);
+      eventCount += batch.length;
+      batch = [];
+    };
+
+    const cursor = Task.find().select("firstName notes agent status category createdAt completedDate").lean().cursor();
+
+    for await (const task of cursor) {
+      if (tasksWithHistory.has(task._id.toString())) continue;
+      taskCount++;
+
+      const base = {
+        task: task._id,
+        agent: task.agent || null,
+        source: "system",
+        actor: null,
+        taskLabel: task.notes || task.firstName || "",
+      };
+      const createdAt = task.createdAt || task._id.getTimestamp();
+
+      batch.push({
+        ...base,
+        type: "created",
+        from: null,
+        to: { status: "pending", category: task.category, agent: task.agent || null },
+        createdAt,
+      });
+
+      if (task.status === "completed") {
+        batch.push({
+          ...base,
+          type: "status_changed",
+          field: "status",
+          from: null, // Unknown - the status before completion was never stored
+          to: "completed",
+          createdAt: task.completedDate || createdAt,
+        });
+      }
+
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+
+    await flush();
+
+    console.log(`✅ Successfully backfilled task history`);
+    console.log(`   - ${taskCount} tasks without history`);
+    console.log(`   - ${eventCount} events created`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Migration error:", error);
+    process.exit(1);
+  }
+};
+
+// Run migration
+backfillTaskEvents();
@@ -0,0 +1,77 @@
+/**
+ * Migration script to backfill persisted roles on existing accounts
+ * Run this once after deploying role-based authorization
+ *
+ * Applies the old email-suffix rule one last time:
+ *   - Agent documents            -> "agent"
+ *   - User documents             -> "admin"
+ * Users whose email ends with @agent.com were never reachable at login
+ * (login only looked them up in the Agent collection), so they are set to
+ * "viewer" and reported for manual review.
+ *
+ * Usage: node scripts/migrateRoles.js
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Agent = require("../models/Agent");
+
+const LEGACY_AGENT_SUFFIX = /@agent\.com$/i;
+
+const missingRole = {
+  $or: [
+    { role: { $exists: false } },
+    { role: null },
+    { role: "" }
+  ]
+};
+
+const migrateRoles = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URL || process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log("MongoDB Connected");
+
+    // Agents always carry the agent role
+    const agentResult = await Agent.updateMany(missingRole, { $set: { role: "agent" } });
+
+    // Users: admins unless they match the legacy agent suffix
+    const orphanedUsers = await User.find({
+      ...missingRole,
+      email: { $regex: LEGACY_AGENT_SUFFIX }
+    }).select("email");
+
+    const viewerResult = await User.updateMany(
+      { ...missingRole, email: { $regex: LEGACY_AGENT_SUFFIX } },
+      { $set: { role: "viewer" } }
+    );
+
+    const adminResult = await User.updateMany(
+      { ...missingRole, email: { $not: LEGACY_AGENT_SUFFIX } },
+      { $set: { role: "admin" } }
+    );
+
+    console.log(`✅ Successfully migrated roles`);
+    console.log(`   - ${agentResult.modifiedCount} agents set to "agent"`);
+    console.log(`   - ${adminResult.modifiedCount} users set to "admin"`);
+    console.log(`   - ${viewerResult.modifiedCount} users set to "viewer"`);
+
+    if (orphanedUsers.length > 0) {
+      console.warn(`⚠️  Review these User accounts with an @agent.com email:`);
+      orphanedUsers.forEach((user) => console.warn(`   - ${user.email}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Migration error:", error);
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateRoles();
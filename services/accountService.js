@@ -0,0 +1,82 @@
+/**
+ * Account Service
+ * Looks up login accounts across the User (admin/supervisor/viewer)
+ * and Agent collections now that roles are persisted instead of
+ * being derived from the email address.
+ */
+
+const User = require("../models/User");
+const Agent = require("../models/Agent");
+const { getAccountModelName } = require("../utils/roles");
+
+const MODELS = { User, Agent };
+
+/**
+ * Normalize an email for lookups
+ * @param {string} email - Raw email
+ * @returns {string} Lowercased, trimmed email
+ */
+const normalizeEmail = (email) => (typeof email === "string" ? email.toLowerCase().trim() : "");
+
+/**
+ * Find an account by email in either collection
+ * @param {string} email - Account email
+ * @param {Object} options - { withDeleted: also match agents in the trash (their email stays reserved) }
+ * @returns {Promise<Object|null>} Mongoose document (User or Agent) or null
+ */
+const findAccountByEmail = async (email, { withDeleted = false } = {}) => {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) return null;
+
+  let user = await User.findOne({ email: normalizedEmail });
+
+  // User emails were never normalized on write, so fall back to a
+  // case-insensitive match for legacy data
+  if (!user) {
+    const escapedEmail = normalizedEmail.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    user = await User.findOne({
+      email: { $regex: new RegExp(`^${escapedEmail}$`, "i") },
+    });
+  }
+  if (user) return user;
+
+  const agentQuery = Agent.findOne({ email: normalizedEmail });
+  return withDeleted ? agentQuery.withDeleted() : agentQuery;
+};
+
+/**
+ * Check whether an email is already used by any account
+ * Agents in the trash keep their email until they are purged.
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>}
+ */
+const isEmailTaken = async (email) => {
+  const account = await findAccountByEmail(email, { withDeleted: true });
+  return Boolean(account);
+};
+
+/**
+ * Find an account by id using the role carried in the token
+ * @param {string} id - Account id
+ * @param {string} role - Role from the JWT payload
+ * @returns {Promise<Object|null>} Mongoose document or null
+ */
+const findAccountById = async (id, role) => {
+  const Model = MODELS[getAccountModelName(role)];
+  return Model.findById(id);
+};
+
+/**
+ * Get the role of an account document
+ * @param {Object} account - User or Agent document
+ * @returns {string} Role name
+ */
+const getAccountRole = (account) => account.role || (account instanceof Agent ? "agent" : "viewer");
+
+module.exports = {
+  normalizeEmail,
+  findAccountByEmail,
+  isEmailTaken,
+  findAccountById,
+  getAccountRole,
+};
@@ -0,0 +1,73 @@
+/**
+ * API Key Service
+ * Generates and verifies scoped API keys used by integrations (e.g. the CRM).
+ * Key format: "tf_<prefix>_<secret>" - the prefix identifies the key in listings.
+ */
+
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const { TokenError } = require("./tokenService");
+
+// Configuration
+const LAST_USED_WRITE_INTERVAL = 60 * 1000; // Update lastUsedAt at most once a minute per key
+const MAX_API_KEY_TTL_DAYS = 3650;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Create a new API key
+ * @param {Object} options - { name, scopes, expiresInDays, createdBy }
+ * expiresInDays is validated by the caller; only an omitted value creates a key that never expires.
+ * @returns {Promise<Object>} { apiKey: saved document, key: full key to show once }
+ */
+const createApiKey = async ({ name, scopes, expiresInDays, createdBy }) => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("hex");
+  const key = `tf_${prefix}_${secret}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: `tf_${prefix}`,
+    keyHash: hashKey(key),
+    scopes,
+    createdBy,
+    expiresAt: expiresInDays === undefined ? null : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Verify a presented key and record its use
+ * @param {string} key - Value of the X-API-Key header
+ * @param {Object} req - Express request (for last-used IP)
+ * @returns {Promise<Object>} ApiKey document
+ */
+const verifyApiKey = async (key, req) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(String(key)) });
+
+  if (!apiKey) {
+    throw new TokenError("API_KEY_INVALID", "Invalid API key");
+  }
+  if (apiKey.revokedAt) {
+    throw new TokenError("API_KEY_REVOKED", "API key has been revoked");
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    throw new TokenError("API_KEY_EXPIRED", "API key has expired");
+  }
+
+  // Throttled so a busy integration doesn't turn every request into a write
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_WRITE_INTERVAL) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(now), lastUsedIp: req.ip } })
+      .catch((err) => console.error("[ApiKey] Failed to record key usage:", err));
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  MAX_API_KEY_TTL_DAYS,
+  createApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,229 @@
+/**
+ * Assignment Service
+ * Decides which agent receives a task when the caller doesn't name one,
+ * checks explicitly chosen agents and hands tasks over between agents.
+ * Agents never receive work beyond their maxOpenTasks or outside their working hours.
+ */
+
+const mongoose = require("mongoose");
+const Agent = require("../models/Agent");
+const Task = require("../models/Task");
+const { OPEN_TASK_STATUSES } = require("../utils/taskStatus");
+const { snapshotTask, buildChangeEvents, recordTaskEvents } = require("./taskEventService");
+const { DEFAULT_STRATEGY, STRATEGIES } = require("./assignmentStrategies");
+const { isOnShift } = require("../utils/schedule");
+
+/**
+ * Error raised when a task can't be assigned (mapped to a 400 by controllers)
+ */
+class AssignmentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AssignmentError";
+    this.code = code;
+  }
+}
+
+/**
+ * Whether an agent with the given open task count can take another task
+ */
+const hasCapacity = (agent, load) => agent.maxOpenTasks === null || agent.maxOpenTasks === undefined || load < agent.maxOpenTasks;
+
+/**
+ * Load an explicitly chosen agent and make sure they can take work
+ * @param {string} agentId - Agent id from the request
+ * @param {Object} options - { requireAvailable } to also refuse "Not-Available" agents,
+ *   { incoming } number of tasks about to be given to them (checked against maxOpenTasks)
+ * @returns {Promise<Object>} Agent document
+ * @throws {AssignmentError} If the agent doesn't exist or can't take work
+ */
+const getAssignableAgent = async (agentId, { requireAvailable = false, incoming = 1 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(agentId)) {
+    throw new AssignmentError("AGENT_INVALID", "Invalid agent ID");
+  }
+
+  const agent = await Agent.findById(agentId);
+  if (!agent) {
+    throw new AssignmentError("AGENT_NOT_FOUND", "Agent not found");
+  }
+  if (agent.status === "Decommissioned") {
+    throw new AssignmentError("AGENT_DECOMMISSIONED", "Cannot assign tasks to a decommissioned agent");
+  }
+  if (requireAvailable && agent.status !== "Available") {
+    throw new AssignmentError("AGENT_NOT_AVAILABLE", "Target agent is not available");
+  }
+  if (!isOnShift(agent)) {
+    throw new AssignmentError("AGENT_OFF_SHIFT", "Target agent is outside their working hours");
+  }
+
+  if (incoming > 0 && agent.maxOpenTasks !== null && agent.maxOpenTasks !== undefined) {
+    const load = (await getOpenTaskCounts([agent._id])).get(agent._id.toString()) || 0;
+    if (load + incoming > agent.maxOpenTasks) {
+      throw new AssignmentError(
+        "AGENT_AT_CAPACITY",
+        `Target agent has ${load} of ${agent.maxOpenTasks} open tasks and can't take ${incoming} more`
+      );
+    }
+  }
+
+  return agent;
+};
+
+/**
+ * Count open tasks per agent
+ * @param {ObjectId[]} agentIds - Agents to count for
+ * @returns {Promise<Map<string, number>>} agentId -> open task count
+ */
+const getOpenTaskCounts = async (agentIds) => {
+  const counts = await Task.aggregate([
+    { $match: { agent: { $in: agentIds }, status: { $in: OPEN_TASK_STATUSES } } },
+    { $group: { _id: "$agent", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Load the available, on-shift agents (minus any excluded) with their open task counts
+ */
+const getAvailableAgentLoads = async (exclude = []) => {
+  const excluded = exclude.map(String);
+  const now = new Date();
+  const agents = (await Agent.find({ status: "Available" }).sort({ createdAt: 1, _id: 1 })).filter(
+    (agent) => !excluded.includes(agent._id.toString()) && isOnShift(agent, now)
+  );
+  const counts = await getOpenTaskCounts(agents.map((agent) => agent._id));
+
+  return agents.map((agent) => ({ agent, load: counts.get(agent._id.toString()) || 0 }));
+};
+
+/**
+ * Pick the available agent for a single task
+ * With a category the task is routed to agents who handle it (see the category-skill strategy),
+ * otherwise the agent with the fewest open tasks gets it.
+ * @param {Object} options - { exclude } agent ids that must not be picked, { category } of the task
+ * @returns {Promise<Object>} { agent, route } - agent is null (route "unassigned") when nobody can take it
+ */
+const pickAgentForTask = async ({ exclude = [], category } = {}) => {
+  const [{ agent, route }] = await planAssignments([{ category }], {
+    strategy: category ? "category-skill" : "least-open-tasks",
+    exclude,
+  });
+  return { agent, route };
+};
+
+/**
+ * Spread tasks over the available, on-shift agents with an assignment strategy
+ * Agents drop out of the pool once they reach their maxOpenTasks; tasks left over
+ * when nobody has room are planned with agent null for the unassigned queue.
+ * @param {Object[]} tasks - Tasks to place (plain objects or documents; strategies may read the category)
+ * @param {Object} options - { strategy } name from services/assignmentStrategies.js, { exclude } agent ids
+ * @returns {Promise<Array<{ task, agent, route }>>} Planned assignments, in task order; route is
+ *   "specialist", "generalist" or "fallback" for routing strategies and "unassigned" when agent is null
+ * @throws {AssignmentError} If the strategy is unknown
+ */
+const planAssignments = async (tasks, { strategy = DEFAULT_STRATEGY, exclude = [] } = {}) => {
+  if (!STRATEGIES[strategy]) {
+    throw new AssignmentError("STRATEGY_INVALID", `Unknown assignment strategy: ${strategy}`);
+  }
+
+  const loads = await getAvailableAgentLoads(exclude);
+  const pick = STRATEGIES[strategy].createPicker(loads);
+
+  return tasks.map((task) => {
+    const candidates = loads.filter((entry) => hasCapacity(entry.agent, entry.load));
+    if (candidates.length === 0) {
+      return { task, agent: null, route: "unassigned" };
+    }
+
+    const { entry, route = null } = pick(task, candidates);
+    entry.load++;
+    return { task, agent: entry.agent, route };
+  });
+};
+
+/**
+ * Spread tasks over the available agents, always giving the next task to the least loaded one
+ * @param {Object[]} tasks - Tasks to place
+ * @param {Object} options - { exclude } agent ids that must not receive tasks
+ * @returns {Promise<Array<{ task, agent }>>} Planned assignments (agent null when nobody has room)
+ */
+const planRedistribution = (tasks, { exclude = [] } = {}) =>
+  planAssignments(tasks, { strategy: "least-open-tasks", exclude });
+
+/**
+ * Count planned tasks per agent, busiest first
+ * @param {Array<{ task, agent }>} assignments - Output of planAssignments
+ * @returns {Array<{ agentId, name, count }>}
+ */
+const summarizeAssignments = (assignments) => {
+  const byAgent = new Map();
+  assignments.filter(({ agent }) => agent).forEach(({ agent }) => {
+    const key = agent._id.toString();
+    const entry = byAgent.get(key) || { agentId: agent._id, name: agent.name, count: 0 };
+    entry.count++;
+    byAgent.set(key, entry);
+  });
+  return [...byAgent.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Count how the tasks of each category were routed
+ * @param {Array<{ task, route }>} assignments - Output of planAssignments
+ * @returns {Object|null} e.g. { Billing: { specialist: 12, generalist: 2, fallback: 0 } }, or null if no routing was done
+ */
+const summarizeRouting = (assignments) => {
+  const routed = assignments.filter(({ route }) => route && route !== "unassigned");
+  if (routed.length === 0) return null;
+
+  return routed.reduce((acc, { task, route }) => {
+    const category = task.category || "General";
+    acc[category] = acc[category] || { specialist: 0, generalist: 0, fallback: 0 };
+    acc[category][route]++;
+    return acc;
+  }, {});
+};
+
+/**
+ * Move tasks to new agents and record the handover in each task's history
+ * The update only applies while the task still belongs to its previous agent,
+ * so a concurrent change is never overwritten.
+ * @param {Array<{ task, agent }>} assignments - Tasks and the agent each should move to (null = unassigned queue)
+ * @param {Object} context - { req, reason, source }
+ * @returns {Promise<Array<{ taskId, from, to }>>} The handovers that were applied
+ */
+const applyReassignments = async (assignments, { req, reason, source = "manual" } = {}) => {
+  const moves = assignments
+    .map(({ task, agent }) => ({ task, to: agent ? agent._id : null }))
+    .filter(({ task, to }) => String(task.agent || null) !== String(to));
+  if (moves.length === 0) return [];
+
+  const results = await Promise.all(
+    moves.map(({ task, to }) =>
+      Task.updateOne({ _id: task._id, agent: task.agent || null }, { $set: { agent: to } })
+    )
+  );
+  const applied = moves.filter((move, index) => results[index].modifiedCount === 1);
+
+  await recordTaskEvents(applied.flatMap(({ task, to }) =>
+    buildChangeEvents(snapshotTask(task), { ...snapshotTask(task), agent: to }, { req, reason, source })
+  ));
+
+  return applied.map(({ task, to }) => ({
+    taskId: task._id,
+    from: task.agent || null,
+    to,
+  }));
+};
+
+module.exports = {
+  AssignmentError,
+  getAssignableAgent,
+  getOpenTaskCounts,
+  pickAgentForTask,
+  planAssignments,
+  summarizeAssignments,
+  summarizeRouting,
+  planRedistribution,
+  applyReassignments,
+};
@@ -0,0 +1,102 @@
+/**
+ * Assignment Strategies
+ * Ways of spreading a batch of tasks over the available agents.
+ * Each strategy builds a picker for a pool of { agent, load } entries; the
+ * picker is called once per task with the entries that still have capacity and
+ * returns { entry, route } - the chosen entry (whose load the caller bumps) and,
+ * for routing strategies, how it was chosen.
+ */
+
+const { CATEGORIES } = require("./categorizationService");
+
+const DEFAULT_STRATEGY = "round-robin";
+
+/**
+ * Entry with the fewest open tasks (first one wins ties, keeping the pool order)
+ */
+const leastLoaded = (entries) => entries.reduce((best, entry) => (entry.load < best.load ? entry : best));
+
+/**
+ * Proficiency (1-5) of an agent in a category, or 0 if they don't handle it
+ * A skill tag naming the category counts as the lowest proficiency.
+ */
+const getProficiency = (agent, category) => {
+  if (!category) return 0;
+  const proficiency = agent.categoryProficiency;
+  const level = proficiency instanceof Map ? proficiency.get(category) : proficiency && proficiency[category];
+  if (level > 0) return level;
+  return (agent.skills || []).some((skill) => skill.toLowerCase() === category.toLowerCase()) ? 1 : 0;
+};
+
+/**
+ * Whether an agent specializes in any category (anyone else is a generalist)
+ */
+const isSpecialist = (agent, categories) => categories.some((category) => getProficiency(agent, category) > 0);
+
+const STRATEGIES = {
+  "round-robin": {
+    description: "Take turns through the available agents",
+    createPicker: (pool) => {
+      let next = 0;
+      return (task, candidates) => {
+        // Keep the turn order, skipping agents who are full
+        while (!candidates.includes(pool[next % pool.length])) next++;
+        return { entry: pool[next++ % pool.length] };
+      };
+    },
+  },
+  "least-open-tasks": {
+    description: "Give each task to the agent with the fewest open tasks",
+    createPicker: () => (task, candidates) => ({ entry: leastLoaded(candidates) }),
+  },
+  weighted: {
+    description: "Share tasks in proportion to each agent's weight, counting the open tasks they already have",
+    createPicker: () => {
+      const share = (entry) => (entry.load + 1) / (entry.agent.weight || 1);
+      return (task, candidates) => {
+        const weighted = candidates.filter((entry) => entry.agent.weight > 0);
+        const pool = weighted.length > 0 ? weighted : candidates;
+        return { entry: pool.reduce((best, entry) => (share(entry) < share(best) ? entry : best)) };
+      };
+    },
+  },
+  "category-skill": {
+    description: "Route each task to agents who handle its category (more proficient agents take more), then generalists, then anyone",
+    createPicker: () => (task, candidates) => {
+      const generalists = candidates.filter((entry) => !isSpecialist(entry.agent, CATEGORIES));
+      const specialists = candidates.filter((entry) => getProficiency(entry.agent, task.category) > 0);
+      if (specialists.length > 0) {
+        const share = (entry) => (entry.load + 1) / getProficiency(entry.agent, task.category);
+        return { entry: specialists.reduce((best, entry) => (share(entry) < share(best) ? entry : best)), route: "specialist" };
+      }
+      if (generalists.length > 0) {
+        return { entry: leastLoaded(generalists), route: "generalist" };
+      }
+      return { entry: leastLoaded(candidates), route: "fallback" };
+    },
+  },
+};
+
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+/**
+ * Check a strategy name
+ * @param {string} name - Strategy name from the request or settings
+ * @returns {boolean}
+ */
+const isValidStrategy = (name) => Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+
+/**
+ * List the strategies for settings screens
+ * @returns {Array<{ name, description }>}
+ */
+const listStrategies = () => STRATEGY_NAMES.map((name) => ({ name, description: STRATEGIES[name].description }));
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  getProficiency,
+  STRATEGIES,
+  STRATEGY_NAMES,
+  isValidStrategy,
+  listStrategies,
+};
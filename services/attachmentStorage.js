@@ -0,0 +1,117 @@
+/**
+ * Attachment Storage
+ * Keeps task attachment files behind a pluggable adapter.
+ * Built-in adapters:
+ *   - local: files under ATTACHMENT_DIR (default)
+ * Register another backend (S3, GCS, ...) with registerStorageAdapter() at startup
+ * and select it with ATTACHMENT_STORAGE. Each attachment records the adapter it was
+ * stored with, so files saved before a switch can still be read.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Configuration
+const ATTACHMENT_DIR = path.resolve(process.env.ATTACHMENT_DIR || path.join("uploads", "attachments"));
+
+const adapters = new Map();
+
+/**
+ * Register a storage adapter
+ * @param {string} name - Adapter name used in ATTACHMENT_STORAGE
+ * @param {Object} adapter - {
+ *   save: async (key, buffer, { contentType }) => void,
+ *   read: async (key) => Readable stream (rejects with code "ENOENT" when missing),
+ *   remove: async (key) => void (succeeds when already gone)
+ * }
+ */
+const registerStorageAdapter = (name, adapter) => {
+  const missing = ["save", "read", "remove"].filter((method) => typeof (adapter && adapter[method]) !== "function");
+  if (missing.length > 0) {
+    throw new Error(`Storage adapter "${name}" must implement: ${missing.join(", ")}`);
+  }
+  adapters.set(name, adapter);
+};
+
+/**
+ * Path of a key on the local disk - keys are generated by us, but never trust them to stay inside the directory
+ */
+const resolveLocalPath = (key) => {
+  const filePath = path.resolve(ATTACHMENT_DIR, key);
+  if (!filePath.startsWith(ATTACHMENT_DIR + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+// Local adapter - one file per attachment, grouped by task
+registerStorageAdapter("local", {
+  save: async (key, buffer) => {
+    const filePath = resolveLocalPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: "wx" }); // Never overwrite
+  },
+  read: async (key) => {
+    const filePath = resolveLocalPath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  },
+  remove: async (key) => {
+    await fs.promises.rm(resolveLocalPath(key), { force: true });
+  },
+});
+
+/**
+ * Name of the adapter new attachments are stored with
+ * @returns {string}
+ */
+const getDefaultStorageName = () => process.env.ATTACHMENT_STORAGE || "local";
+
+/**
+ * Look up an adapter
+ * @param {string} name - Adapter name (default: the configured one)
+ * @returns {Object} Adapter
+ */
+const getStorageAdapter = (name = getDefaultStorageName()) => {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown attachment storage "${name}"`);
+  }
+  return adapter;
+};
+
+/**
+ * Remove stored files, logging failures instead of throwing - used for cleanup
+ * @param {Object[]} files - Items with { storage, storageKey }, e.g. TaskAttachment documents
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = async (files) => {
+  await Promise.all(
+    files.map(async ({ storage, storageKey }) => {
+      try {
+        await getStorageAdapter(storage).remove(storageKey);
+      } catch (error) {
+        console.error(`[Attachments] Could not remove ${storage}:${storageKey}:`, error.message);
+      }
+    })
+  );
+};
+
+/**
+ * Generate a storage key for a new file: "<taskId>/<random><ext>"
+ * The client's file name never becomes part of the key.
+ * @param {string} taskId - Task the file belongs to
+ * @param {string} extension - Checked extension including the dot, e.g. ".pdf"
+ * @returns {string}
+ */
+const generateStorageKey = (taskId, extension) =>
+  `${taskId}/${crypto.randomBytes(16).toString("hex")}${extension}`;
+
+module.exports = {
+  registerStorageAdapter,
+  getDefaultStorageName,
+  getStorageAdapter,
+  generateStorageKey,
+  removeStoredFiles,
+};
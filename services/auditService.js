@@ -0,0 +1,143 @@
+/**
+ * Audit Service
+ * Builds and persists audit log entries. Writing an entry never fails the
+ * request it describes - errors are logged and swallowed.
+ */
+
+const AuditLog = require("../models/AuditLog");
+const { getAccountModelName } = require("../utils/roles");
+
+// Never copy these into an audit entry, even if a controller passes a whole document
+const REDACTED_FIELDS = ["password", "twoFactor", "keyHash", "refreshTokenHash", "tokenHash"];
+
+/**
+ * Copy the listed fields of a document into a plain object
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {string[]} fields - Fields to capture
+ * @returns {Object|null} Snapshot, or null if there is no document
+ */
+const snapshot = (doc, fields) => {
+  if (!doc) return null;
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+
+  return fields.reduce((acc, field) => {
+    if (!REDACTED_FIELDS.includes(field) && source[field] !== undefined) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Reduce two snapshots to the fields that actually changed
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Object} { before, after } containing only changed fields
+ */
+const diffChanges = (before, after) => {
+  if (!before || !after) return { before: before || null, after: after || null };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key];
+      changedAfter[key] = after[key];
+    }
+  });
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Describe the authenticated caller of a request
+ * API-key requests are attributed to the admin who created the key.
+ * @param {Object} req - Express request
+ * @returns {Object} { actor, actorModel, actorRole, actorEmail, apiKey }
+ */
+const getRequestActor = (req) => {
+  if (!req.user) return { actor: null, apiKey: null };
+
+  if (req.authMethod === "api-key") {
+    return {
+      actor: req.user.id,
+      actorModel: "User",
+      actorRole: "api-key",
+      apiKey: req.user.apiKeyId,
+    };
+  }
+
+  return {
+    actor: req.user.id,
+    actorModel: getAccountModelName(req.user.role),
+    actorRole: req.user.role,
+    actorEmail: req.user.email,
+    apiKey: null,
+  };
+};
+
+/**
+ * Resolve who performed the request
+ * Controllers can override the actor for unauthenticated routes (e.g. login).
+ */
+const resolveActor = (req, entry) => {
+  if (!entry.actor) return getRequestActor(req);
+
+  const role = entry.actor.role;
+  return {
+    actor: entry.actor.id || null,
+    actorModel: role ? getAccountModelName(role) : undefined,
+    actorRole: role,
+    actorEmail: entry.actor.email,
+    apiKey: null,
+  };
+};
+
+/**
+ * Persist an audit entry for a finished request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (after "finish")
+ * @param {Object} entry - { action, targetType, targetId, before, after, details, actor }
+ */
+const recordAudit = async (req, res, entry) => {
+  try {
+    const { before, after } = diffChanges(entry.before, entry.after);
+
+    await AuditLog.create({
+      ...resolveActor(req, entry),
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId ? String(entry.targetId) : null,
+      changes: before || after ? { before, after } : undefined,
+      details: entry.details,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (error) {
+    console.error("[Audit] Failed to record audit entry:", error);
+  }
+};
+
+/**
+ * Add details to the current request's audit entry (no-op on unaudited routes)
+ * @param {Object} res - Express response
+ * @param {Object} data - Any of { targetId, before, after, details, actor, skip }
+ */
+const annotateAudit = (res, data) => {
+  if (res.locals.audit) {
+    Object.assign(res.locals.audit, data);
+  }
+};
+
+module.exports = {
+  getRequestActor,
+  annotateAudit,
+  snapshot,
+  diffChanges,
+  recordAudit,
+};
@@ -0,0 +1,106 @@
+/**
+ * Auth Token Service
+ * Issues and redeems the single-use email tokens behind password reset
+ * and email verification, and sends the corresponding emails.
+ */
+
+const crypto = require("crypto");
+const AuthToken = require("../models/AuthToken");
+const User = require("../models/User");
+const Agent = require("../models/Agent");
+const { sendMail } = require("./mailService");
+
+// Configuration
+const APP_URL = process.env.APP_URL || "http://localhost:3000"; // Frontend base URL for emailed links
+const TOKEN_TTL = {
+  "password-reset": (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000, // 30 minutes
+  "email-verification": (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000, // 48 hours
+};
+
+const ACCOUNT_MODELS = { User, Agent };
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create a token for an account, invalidating any unused token with the same purpose
+ * @param {Object} account - User or Agent document
+ * @param {string} purpose - "password-reset" or "email-verification"
+ * @returns {Promise<string>} Raw token to embed in the emailed link
+ */
+const createAuthToken = async (account, purpose) => {
+  await AuthToken.deleteMany({ account: account._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.create({
+    purpose,
+    tokenHash: hashToken(token),
+    account: account._id,
+    accountModel: account instanceof Agent ? "Agent" : "User",
+    expiresAt: new Date(Date.now() + TOKEN_TTL[purpose]),
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a token - marks it used atomically so it can't be replayed
+ * @param {string} token - Raw token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} Account document, or null if the token is invalid, used or expired
+ */
+const consumeAuthToken = async (token, purpose) => {
+  if (!token || typeof token !== "string") return null;
+
+  const record = await AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record) return null;
+
+  return ACCOUNT_MODELS[record.accountModel].findById(record.account);
+};
+
+/**
+ * Email a password reset link
+ * @param {Object} account - User or Agent document
+ */
+const sendPasswordResetEmail = async (account) => {
+  const token = await createAuthToken(account, "password-reset");
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  const minutes = Math.round(TOKEN_TTL["password-reset"] / 60000);
+
+  await sendMail({
+    to: account.email,
+    subject: "Reset your TaskFlow password",
+    text: `Hi ${account.name || ""},\n\nUse the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+  });
+};
+
+/**
+ * Email an address verification link
+ * @param {Object} account - User or Agent document
+ */
+const sendVerificationEmail = async (account) => {
+  const token = await createAuthToken(account, "email-verification");
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: account.email,
+    subject: "Verify your TaskFlow email address",
+    text: `Hi ${account.name || ""},\n\nPlease confirm your email address by opening the link below.\n\n${link}`,
+  });
+};
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+};
@@ -0,0 +1,107 @@
+/**
+ * Follow-up Service
+ * Tasks can carry a follow-up (callback) time. When it comes, snoozed tasks go
+ * back to pending - whatever the workflow graph says - and a "task.follow_up_due"
+ * notification is published for every open task whose follow-up has arrived.
+ */
+
+const Task = require("../models/Task");
+const { OPEN_TASK_STATUSES, SNOOZED_STATUS } = require("../utils/taskStatus");
+const { snapshotTask, buildChangeEvents, buildFollowUpDueEvent, recordTaskEvents } = require("./taskEventService");
+const { notify } = require("./notificationService");
+
+// Configuration
+const FOLLOW_UP_CHECK_INTERVAL = (parseInt(process.env.FOLLOW_UP_CHECK_INTERVAL_MINUTES) || 1) * 60 * 1000;
+const MAX_BATCH_SIZE = 500; // Earliest follow-ups first; the rest wait for the next run
+
+/**
+ * Filter for open tasks whose follow-up is due by a given time (the due-now queue)
+ * @param {Date} until - Follow-ups at or before this time
+ * @returns {Object} MongoDB filter
+ */
+const dueNowFilter = (until = new Date()) => ({
+  status: { $in: OPEN_TASK_STATUSES },
+  followUpAt: { $ne: null, $lte: until },
+});
+
+/**
+ * Filter for open tasks whose follow-up has come but hasn't been handled yet
+ * @param {Date} now - Reference time
+ * @returns {Object} MongoDB filter
+ */
+const dueFollowUps = (now = new Date()) => ({ ...dueNowFilter(now), followUpNotifiedAt: null });
+
+/**
+ * Wake snoozed tasks and announce follow-ups that have come due
+ * Each task is only updated if it hasn't changed since it was read, so a
+ * reschedule racing with the run is never overwritten.
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Object[]>} Tasks whose follow-up was handled, as they were before
+ */
+const processDueFollowUps = async (now = new Date()) => {
+  const tasks = await Task.find(dueFollowUps(now))
+    .sort({ followUpAt: 1, _id: 1 })
+    .limit(MAX_BATCH_SIZE)
+    .select("agent status followUpAt notes firstName")
+    .lean();
+  if (tasks.length === 0) return [];
+
+  await Task.bulkWrite(tasks.map((task) => ({
+    updateOne: {
+      filter: { _id: task._id, status: task.status, followUpAt: task.followUpAt, followUpNotifiedAt: null },
+      update: {
+        $set: {
+          followUpNotifiedAt: now,
+          ...(task.status === SNOOZED_STATUS && { status: "pending", statusReason: null }),
+        },
+      },
+    },
+  })));
+
+  // Only the tasks this run actually updated
+  const handledIds = new Set(
+    (await Task.find({ _id: { $in: tasks.map((task) => task._id) }, followUpNotifiedAt: now }).distinct("_id")).map(String)
+  );
+  const handled = tasks.filter((task) => handledIds.has(String(task._id)));
+
+  await recordTaskEvents(handled.flatMap((task) => [
+    buildFollowUpDueEvent(task),
+    ...(task.status === SNOOZED_STATUS
+      ? buildChangeEvents(snapshotTask(task), { ...task, status: "pending" }, { source: "system", reason: "Follow-up time reached" })
+      : []),
+  ]));
+
+  handled.forEach((task) => notify("task.follow_up_due", {
+    taskId: task._id,
+    agentId: task.agent || null,
+    followUpAt: task.followUpAt,
+    wasSnoozed: task.status === SNOOZED_STATUS,
+    label: task.notes || task.firstName || "",
+  }));
+
+  return handled;
+};
+
+/**
+ * Periodic run
+ */
+const checkFollowUps = async () => {
+  try {
+    const handled = await processDueFollowUps();
+    if (handled.length > 0) {
+      const woken = handled.filter((task) => task.status === SNOOZED_STATUS).length;
+      console.log(`[FollowUp] ${handled.length} follow-up(s) due, ${woken} snoozed task(s) back to pending`);
+    }
+  } catch (error) {
+    console.error("[FollowUp] Follow-up check failed:", error);
+  }
+};
+
+// Start follow-up interval
+setInterval(checkFollowUps, FOLLOW_UP_CHECK_INTERVAL);
+
+module.exports = {
+  dueNowFilter,
+  dueFollowUps,
+  processDueFollowUps,
+};
@@ -0,0 +1,98 @@
+/**
+ * Invitation Service
+ * Creates, emails and redeems agent invitations.
+ */
+
+const crypto = require("crypto");
+const Invitation = require("../models/Invitation");
+const { sendMail } = require("./mailService");
+
+// Configuration
+const APP_URL = process.env.APP_URL || "http://localhost:3000"; // Frontend base URL for emailed links
+const DEFAULT_INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS) || 7;
+const MAX_INVITE_TTL_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Query matching invitations that can still be redeemed
+ */
+const openInvitationQuery = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Create an invitation and email the signup link
+ * Any open invitation for the same email is revoked so only the newest link works.
+ * @param {Object} options - { email, name, status, expiresInDays, invitedBy }
+ * expiresInDays is validated by the caller; it is kept within 1..MAX_INVITE_TTL_DAYS regardless.
+ * @returns {Promise<Object>} The saved invitation
+ */
+const createInvitation = async ({ email, name, status, expiresInDays, invitedBy }) => {
+  const ttlDays = Math.max(Math.min(parseInt(expiresInDays) || DEFAULT_INVITE_TTL_DAYS, MAX_INVITE_TTL_DAYS), 1);
+
+  await Invitation.updateMany(
+    { email: email.toLowerCase().trim(), ...openInvitationQuery() },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const invitation = await Invitation.create({
+    email,
+    name,
+    status,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    invitedBy,
+  });
+
+  await sendMail({
+    to: invitation.email,
+    subject: "You're invited to join TaskFlow",
+    text: `Hi ${name || ""},\n\nYou've been invited to join TaskFlow as an agent. Create your account with the link below - it expires in ${ttlDays} days.\n\n${APP_URL}/signup?invite=${token}`,
+  });
+
+  return invitation;
+};
+
+/**
+ * Look up a redeemable invitation by its raw token
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<Object|null>} Invitation or null if unknown, used, revoked or expired
+ */
+const findOpenInvitation = async (token) => {
+  if (!token || typeof token !== "string") return null;
+  return Invitation.findOne({ tokenHash: hashToken(token), ...openInvitationQuery() });
+};
+
+/**
+ * Claim an invitation atomically so two signups can't redeem the same token
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<Object|null>} Claimed invitation, or null if it was no longer open
+ */
+const claimInvitation = async (token) => {
+  if (!token || typeof token !== "string") return null;
+  return Invitation.findOneAndUpdate(
+    { tokenHash: hashToken(token), ...openInvitationQuery() },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Undo a claim when account creation fails after the invitation was claimed
+ * @param {Object} invitation - Claimed invitation
+ */
+const releaseInvitation = async (invitation) => {
+  await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+};
+
+module.exports = {
+  MAX_INVITE_TTL_DAYS,
+  createInvitation,
+  findOpenInvitation,
+  claimInvitation,
+  releaseInvitation,
+};
@@ -0,0 +1,213 @@
+/**
+ * Login Protection Service
+ * Brute-force protection for the login endpoint:
+ *   - per-account failure counter (persisted on User/Agent) with progressive
+ *     delays and a temporary lockout
+ *   - per-IP failure counter (in memory) with progressive delays and a temporary block
+ * Every failure, throttle and lockout is recorded as a SecurityEvent.
+ */
+
+const SecurityEvent = require("../models/SecurityEvent");
+const Agent = require("../models/Agent");
+
+// Configuration
+const ACCOUNT_FREE_ATTEMPTS = 3; // Failures before delays kick in
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10; // Failures before lockout
+const ACCOUNT_LOCK_DURATION = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000; // 15 minutes
+
+const IP_FREE_ATTEMPTS = 10;
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50;
+const IP_BLOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+const IP_WINDOW = 15 * 60 * 1000; // Failures older than this are forgotten
+
+const MAX_DELAY = 60 * 1000; // Progressive delay never exceeds a minute
+const CLEANUP_INTERVAL = 5 * 60 * 1000; // Cleanup every 5 minutes
+
+// In-memory store for per-IP counters
+// In production with multiple servers, consider using Redis
+const ipFailures = new Map();
+
+/**
+ * Delay required after `failures` consecutive failures: 1s, 2s, 4s ... capped at MAX_DELAY
+ */
+const getProgressiveDelay = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(MAX_DELAY, 1000 * 2 ** (failures - freeAttempts));
+};
+
+/**
+ * Record a security event without letting logging failures break the login flow
+ */
+const recordEvent = (type, req, { email, account, actor, details } = {}) => {
+  SecurityEvent.create({
+    type,
+    email,
+    account: account ? account._id : null,
+    accountModel: account ? (account instanceof Agent ? "Agent" : "User") : undefined,
+    ip: req.ip,
+    userAgent: req.get ? req.get("User-Agent") : undefined,
+    actor: actor || null,
+    details,
+  }).catch((err) => console.error("[LoginProtection] Failed to record security event:", err));
+};
+
+/**
+ * Get the live counter for an IP, dropping it once its window has passed
+ */
+const getIpEntry = (ip) => {
+  const entry = ipFailures.get(ip);
+  if (!entry) return null;
+
+  const now = Date.now();
+  if (now - entry.lastFailureAt > IP_WINDOW && (!entry.blockedUntil || entry.blockedUntil < now)) {
+    ipFailures.delete(ip);
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} req - Express request
+ * @param {Object|null} account - Account matching the email, if any
+ * @returns {Object|null} null if allowed, otherwise { status, code, message, retryAfter }
+ */
+const checkLoginAllowed = (req, account) => {
+  const now = Date.now();
+
+  const ipEntry = getIpEntry(req.ip);
+  if (ipEntry) {
+    if (ipEntry.blockedUntil && ipEntry.blockedUntil > now) {
+      return {
+        status: 429,
+        code: "IP_BLOCKED",
+        message: "Too many failed login attempts from this address. Try again later.",
+        retryAfter: Math.ceil((ipEntry.blockedUntil - now) / 1000),
+      };
+    }
+
+    const ipWait = ipEntry.lastFailureAt + getProgressiveDelay(ipEntry.count, IP_FREE_ATTEMPTS) - now;
+    if (ipWait > 0) {
+      recordEvent("login_throttled", req, { email: req.body?.email, details: { scope: "ip", retryAfter: ipWait } });
+      return {
+        status: 429,
+        code: "LOGIN_THROTTLED",
+        message: "Too many failed login attempts. Please wait before trying again.",
+        retryAfter: Math.ceil(ipWait / 1000),
+      };
+    }
+  }
+
+  if (account) {
+    if (account.lockUntil && account.lockUntil.getTime() > now) {
+      return {
+        status: 423,
+        code: "ACCOUNT_LOCKED",
+        message: "Account is temporarily locked due to too many failed login attempts",
+        retryAfter: Math.ceil((account.lockUntil.getTime() - now) / 1000),
+      };
+    }
+
+    const lastFailure = account.lastFailedLoginAt ? account.lastFailedLoginAt.getTime() : 0;
+    const accountWait = lastFailure + getProgressiveDelay(account.failedLoginAttempts || 0, ACCOUNT_FREE_ATTEMPTS) - now;
+    if (accountWait > 0) {
+      recordEvent("login_throttled", req, { email: account.email, account, details: { scope: "account", retryAfter: accountWait } });
+      return {
+        status: 429,
+        code: "LOGIN_THROTTLED",
+        message: "Too many failed login attempts. Please wait before trying again.",
+        retryAfter: Math.ceil(accountWait / 1000),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Count a failed login against the IP and (if known) the account
+ * @param {Object} req - Express request
+ * @param {string} email - Email that was tried
+ * @param {Object|null} account - Account matching the email, if any
+ */
+const recordLoginFailure = async (req, email, account) => {
+  const now = Date.now();
+
+  // Per-IP counter
+  const ipEntry = getIpEntry(req.ip) || { count: 0, lastFailureAt: now, blockedUntil: null };
+  ipEntry.count++;
+  ipEntry.lastFailureAt = now;
+  if (ipEntry.count >= IP_MAX_ATTEMPTS && !(ipEntry.blockedUntil > now)) {
+    ipEntry.blockedUntil = now + IP_BLOCK_DURATION;
+    recordEvent("ip_blocked", req, { email, details: { failedAttempts: ipEntry.count, blockedUntil: new Date(ipEntry.blockedUntil) } });
+  }
+  ipFailures.set(req.ip, ipEntry);
+
+  // Per-account counter (atomic so parallel attempts are all counted)
+  let failedAttempts = null;
+  if (account) {
+    const updated = await account.constructor.findByIdAndUpdate(
+      account._id,
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date(now) } },
+      { new: true }
+    );
+    failedAttempts = updated.failedLoginAttempts;
+
+    if (failedAttempts >= ACCOUNT_MAX_ATTEMPTS) {
+      const lockUntil = new Date(now + ACCOUNT_LOCK_DURATION);
+      // Start counting afresh once the lock expires
+      await account.constructor.updateOne(
+        { _id: account._id },
+        { $set: { lockUntil, failedLoginAttempts: 0 } }
+      );
+      recordEvent("account_locked", req, { email, account, details: { failedAttempts, lockUntil } });
+    }
+  }
+
+  recordEvent("login_failed", req, { email, account, details: { failedAttempts, ipFailures: ipEntry.count } });
+};
+
+/**
+ * Reset the account counter after a successful login
+ * @param {Object} account - Account that logged in
+ */
+const recordLoginSuccess = async (account) => {
+  if (!account.failedLoginAttempts && !account.lockUntil) return;
+
+  await account.constructor.updateOne(
+    { _id: account._id },
+    { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null } }
+  );
+};
+
+/**
+ * Clear an account lockout (admin action)
+ * @param {Object} req - Express request (admin performing the unlock)
+ * @param {Object} account - Account to unlock
+ */
+const unlockAccount = async (req, account) => {
+  await account.constructor.updateOne(
+    { _id: account._id },
+    { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null } }
+  );
+  recordEvent("account_unlocked", req, { email: account.email, account, actor: req.user.id });
+};
+
+/**
+ * Cleanup expired IP counters
+ */
+const cleanupIpFailures = () => {
+  for (const ip of ipFailures.keys()) {
+    getIpEntry(ip);
+  }
+};
+
+// Start cleanup interval
+setInterval(cleanupIpFailures, CLEANUP_INTERVAL);
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+};
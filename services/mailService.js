@@ -0,0 +1,74 @@
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport.
+ * Built-in transports:
+ *   - console: logs the message (default outside production, for local development)
+ *   - file:    writes each message as JSON into MAIL_OUTBOX_DIR (for local testing)
+ * Register a real provider (SMTP, SES, ...) with registerTransport() at startup
+ * and select it with MAIL_TRANSPORT. In production there is no default: mail carries
+ * reset, verification and invitation tokens, which must never end up in the server log.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Configuration
+const MAIL_FROM = process.env.MAIL_FROM || "TaskFlow <no-reply@taskflow.local>";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+const DEFAULT_TRANSPORT = process.env.NODE_ENV === "production" ? null : "console";
+
+if (!process.env.MAIL_TRANSPORT && !DEFAULT_TRANSPORT) {
+  console.error("[Mail] MAIL_TRANSPORT is not set - no email will be sent until a transport is configured");
+}
+
+const transports = new Map();
+
+/**
+ * Register a transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} send - async (message) => void, message is { from, to, subject, text, html }
+ */
+const registerTransport = (name, send) => {
+  if (typeof send !== "function") {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports.set(name, send);
+};
+
+// Console transport - prints the message so links can be copied from the server log
+registerTransport("console", async (message) => {
+  console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+});
+
+// File transport - one JSON file per message, easy to assert on in manual/automated tests
+registerTransport("file", async (message) => {
+  await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+  const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+  const filePath = path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${safeRecipient}.json`);
+  await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+});
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+  if (!transportName) {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+
+  const transport = transports.get(transportName);
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${transportName}"`);
+  }
+
+  await transport({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+};
@@ -0,0 +1,80 @@
+/**
+ * Mention Service
+ * Finds @mentions in comment text and resolves them to accounts. A mention is
+ * either a full email ("@jane.doe@example.com") or the part before the "@" of
+ * an email ("@jane.doe"); handles that match no account, or several, are reported
+ * back as unresolved instead of guessing.
+ */
+
+const User = require("../models/User");
+const Agent = require("../models/Agent");
+
+const MENTION_PATTERN = /(^|[^\w.@])@([a-z0-9._%+-]+(?:@[a-z0-9-]+(?:\.[a-z0-9-]+)+)?)/gi;
+const MAX_MENTIONS = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Distinct handles mentioned in a text, lowercased and without the "@"
+ * @param {string} text - Comment body
+ * @returns {string[]} At most MAX_MENTIONS handles
+ */
+const extractHandles = (text) => {
+  const handles = new Set();
+  for (const match of String(text || "").matchAll(MENTION_PATTERN)) {
+    const handle = match[2].toLowerCase().replace(/\.+$/, ""); // "@jane." ends a sentence
+    if (handle) handles.add(handle);
+  }
+  return [...handles].slice(0, MAX_MENTIONS);
+};
+
+/**
+ * Accounts a handle could refer to
+ */
+const findAccountsForHandle = async (handle) => {
+  const email = handle.includes("@")
+    ? new RegExp(`^${escapeRegex(handle)}$`, "i")
+    : new RegExp(`^${escapeRegex(handle)}@`, "i");
+
+  const [users, agents] = await Promise.all([
+    User.find({ email }).select("_id").limit(2).lean(),
+    Agent.find({ email }).select("_id").limit(2).lean(),
+  ]);
+
+  return [
+    ...users.map((user) => ({ account: user._id, accountModel: "User" })),
+    ...agents.map((agent) => ({ account: agent._id, accountModel: "Agent" })),
+  ];
+};
+
+/**
+ * Resolve the mentions in a text
+ * @param {string} text - Comment body
+ * @returns {Promise<Object>} { mentions: [{ account, accountModel, handle }], unresolved: [handle] }
+ */
+const resolveMentions = async (text) => {
+  const handles = extractHandles(text);
+  const matches = await Promise.all(handles.map(findAccountsForHandle));
+
+  const mentions = [];
+  const unresolved = [];
+  handles.forEach((handle, index) => {
+    if (matches[index].length !== 1) {
+      unresolved.push(handle);
+      return;
+    }
+    // "@jane" and "@jane@example.com" in the same text are one mention
+    const [match] = matches[index];
+    if (!mentions.some((mention) => String(mention.account) === String(match.account))) {
+      mentions.push({ ...match, handle });
+    }
+  });
+
+  return { mentions, unresolved };
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  extractHandles,
+  resolveMentions,
+};
@@ -0,0 +1,45 @@
+/**
+ * Notification Service
+ * In-process bus for events people should hear about. Background jobs publish
+ * here; delivery (mail, push, websockets) subscribes with onNotification() at startup.
+ * Events:
+ *   - task.follow_up_due: { taskId, agentId, followUpAt, wasSnoozed, label }
+ */
+
+const { EventEmitter } = require("events");
+
+const emitter = new EventEmitter();
+
+/**
+ * Subscribe to a notification event
+ * @param {string} event - Event name, e.g. "task.follow_up_due"
+ * @param {Function} listener - Called with the event payload
+ * @returns {Function} Call to unsubscribe
+ */
+const onNotification = (event, listener) => {
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+};
+
+/**
+ * Publish a notification - a failing listener never fails the publisher
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const notify = (event, payload) => {
+  for (const listener of emitter.listeners(event)) {
+    try {
+      const result = listener(payload);
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => console.error(`[Notifications] ${event} listener failed:`, error));
+      }
+    } catch (error) {
+      console.error(`[Notifications] ${event} listener failed:`, error);
+    }
+  }
+};
+
+module.exports = {
+  onNotification,
+  notify,
+};
@@ -0,0 +1,44 @@
+/**
+ * Settings Service
+ * Reads and writes runtime settings stored in the Setting collection,
+ * falling back to built-in defaults for keys that were never set.
+ */
+
+const Setting = require("../models/Setting");
+const { DEFAULT_STRATEGY } = require("./assignmentStrategies");
+const { DEFAULT_TRANSITIONS } = require("../utils/taskStatus");
+
+// Known settings and their defaults
+const SETTING_DEFAULTS = {
+  "assignment.strategy": process.env.DEFAULT_ASSIGNMENT_STRATEGY || DEFAULT_STRATEGY,
+  "workflow.transitions": DEFAULT_TRANSITIONS,
+};
+
+/**
+ * Read a setting
+ * @param {string} key - Setting key, e.g. "assignment.strategy"
+ * @returns {Promise<*>} Stored value, or the default
+ */
+const getSetting = async (key) => {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting && setting.value !== null ? setting.value : SETTING_DEFAULTS[key];
+};
+
+/**
+ * Store a setting
+ * @param {string} key - Setting key
+ * @param {*} value - New value (validated by the caller)
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<Object>} Setting document
+ */
+const setSetting = (key, value, updatedBy) =>
+  Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: updatedBy || null } },
+    { new: true, upsert: true }
+  );
+
+module.exports = {
+  getSetting,
+  setSetting,
+};
@@ -0,0 +1,165 @@
+/**
+ * SLA Service
+ * Works out task priorities and due dates from the per-category SLA policies,
+ * and periodically flags tasks that were not completed by their due date.
+ * Priorities and due dates set by hand (source "manual") are left alone.
+ */
+
+const SlaPolicy = require("../models/SlaPolicy");
+const Task = require("../models/Task");
+const { OPEN_TASK_STATUSES } = require("../utils/taskStatus");
+const { DEFAULT_PRIORITY, CATEGORY_PRIORITIES } = require("../utils/taskPriority");
+const { buildSlaBreachedEvent, recordTaskEvents } = require("./taskEventService");
+
+// Configuration
+const SLA_CHECK_INTERVAL = (parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5) * 60 * 1000;
+const DEFAULT_AT_RISK_HOURS = parseFloat(process.env.SLA_AT_RISK_HOURS) || 4;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Load every SLA policy, keyed by category
+ * @returns {Promise<Map<string, Object>>}
+ */
+const loadSlaPolicies = async () => {
+  const policies = await SlaPolicy.find().lean();
+  return new Map(policies.map((policy) => [policy.category, policy]));
+};
+
+/**
+ * Priority a task gets from its category when nobody has set one by hand
+ */
+const getSlaPriority = (category, policy) =>
+  (policy && policy.priority) || CATEGORY_PRIORITIES[category] || DEFAULT_PRIORITY;
+
+/**
+ * Moment from which an open task counts as at risk (never before it was created)
+ */
+const getAtRiskAt = (dueAt, policy, createdAt) => {
+  if (!dueAt) return null;
+  const hours = policy && policy.atRiskHours != null ? policy.atRiskHours : DEFAULT_AT_RISK_HOURS;
+  return new Date(Math.max(dueAt.getTime() - hours * HOUR, createdAt.getTime()));
+};
+
+/**
+ * Work out the SLA fields of a task from the policies
+ * @param {Object} task - Task document or plain object (category, createdAt, priority/dueAt and their sources)
+ * @param {Map<string, Object>} policies - From loadSlaPolicies()
+ * @returns {Object} { priority, dueAt, dueAtSource, atRiskAt } - only the fields the SLA controls
+ */
+const computeSla = (task, policies) => {
+  const policy = policies.get(task.category) || null;
+  const createdAt = task.createdAt ? new Date(task.createdAt) : new Date();
+  const fields = {};
+
+  if (task.prioritySource !== "manual") {
+    fields.priority = getSlaPriority(task.category, policy);
+  }
+
+  let dueAt = task.dueAt ? new Date(task.dueAt) : null;
+  if (task.dueAtSource !== "manual") {
+    dueAt = policy ? new Date(createdAt.getTime() + policy.resolutionHours * HOUR) : null;
+    fields.dueAt = dueAt;
+    fields.dueAtSource = dueAt ? "sla" : null;
+  }
+  fields.atRiskAt = getAtRiskAt(dueAt, policy, createdAt);
+
+  return fields;
+};
+
+/**
+ * Set the SLA fields of a task in place
+ * A task whose due date moves is re-checked for breaches by the next run.
+ * @param {Object} task - Task document or plain object
+ * @param {Map<string, Object>} policies - From loadSlaPolicies()
+ * @returns {Object} The same task
+ */
+const applySla = (task, policies) => {
+  const fields = computeSla(task, policies);
+  const previousDueAt = task.dueAt ? new Date(task.dueAt).getTime() : null;
+  const dueAt = fields.dueAt !== undefined ? fields.dueAt : task.dueAt;
+
+  Object.assign(task, fields);
+  if ((dueAt ? new Date(dueAt).getTime() : null) !== previousDueAt) {
+    task.slaBreachedAt = null;
+  }
+  return task;
+};
+
+/**
+ * Recompute the SLA fields of stored tasks (after a category or policy change)
+ * @param {Object} filter - Tasks to refresh
+ * @returns {Promise<number>} Number of tasks that changed
+ */
+const refreshTaskSla = async (filter) => {
+  const [tasks, policies] = await Promise.all([
+    Task.find(filter).select("category createdAt priority prioritySource dueAt dueAtSource atRiskAt slaBreachedAt"),
+    loadSlaPolicies(),
+  ]);
+
+  const changed = tasks.filter((task) => applySla(task, policies).isModified());
+  if (changed.length > 0) {
+    await Task.bulkWrite(changed.map((task) => ({
+      updateOne: { filter: { _id: task._id }, update: task.getChanges() },
+    })));
+  }
+  return changed.length;
+};
+
+/**
+ * Filter for tasks whose SLA is breached but not yet flagged:
+ * still open after the due date, or completed after it
+ */
+const unflaggedBreaches = (now) => ({
+  slaBreachedAt: null,
+  dueAt: { $ne: null, $lt: now },
+  $or: [
+    { status: { $in: OPEN_TASK_STATUSES } },
+    { $expr: { $gt: ["$completedDate", "$dueAt"] } },
+  ],
+});
+
+/**
+ * Flag breached tasks (slaBreachedAt = dueAt) and record a history event for each
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Object[]>} The tasks that were flagged
+ */
+const detectSlaBreaches = async (now = new Date()) => {
+  const tasks = await Task.find(unflaggedBreaches(now)).select("agent dueAt notes firstName").lean();
+  if (tasks.length === 0) return [];
+
+  await Task.updateMany(
+    { _id: { $in: tasks.map((task) => task._id) }, slaBreachedAt: null },
+    [{ $set: { slaBreachedAt: "$dueAt" } }],
+    { timestamps: false } // Not an edit - keep updatedAt meaningful
+  );
+  await recordTaskEvents(tasks.map(buildSlaBreachedEvent));
+
+  return tasks;
+};
+
+/**
+ * Periodic run
+ */
+const checkBreaches = async () => {
+  try {
+    const breached = await detectSlaBreaches();
+    if (breached.length > 0) {
+      console.log(`[SLA] ${breached.length} task(s) breached their SLA`);
+    }
+  } catch (error) {
+    console.error("[SLA] Breach detection failed:", error);
+  }
+};
+
+// Start breach detection interval
+setInterval(checkBreaches, SLA_CHECK_INTERVAL);
+
+module.exports = {
+  DEFAULT_AT_RISK_HOURS,
+  loadSlaPolicies,
+  computeSla,
+  applySla,
+  refreshTaskSla,
+  detectSlaBreaches,
+};
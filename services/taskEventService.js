@@ -0,0 +1,183 @@
+/**
+ * Task Event Service
+ * Turns task changes into TaskEvent records. Callers snapshot the task
+ * before changing it and pass both versions; only changed fields produce events.
+ */
+
+const TaskEvent = require("../models/TaskEvent");
+const { getRequestActor } = require("./auditService");
+
+// Task fields tracked in the history, mapped to their event type
+const TRACKED_FIELDS = {
+  status: "status_changed",
+  category: "category_changed",
+  agent: "reassigned",
+  notes: "notes_changed",
+  firstName: "details_changed",
+  phone: "details_changed",
+  priority: "priority_changed",
+  dueAt: "due_date_changed",
+  followUpAt: "follow_up_changed",
+};
+
+/**
+ * Short, human-readable label for a task
+ * @param {Object} task - Task document or plain object
+ * @returns {string}
+ */
+const getTaskLabel = (task) => task.notes || task.firstName || "";
+
+/**
+ * Capture the tracked fields of a task before changing it
+ * @param {Object} task - Task document or plain object
+ * @returns {Object} Plain snapshot
+ */
+const snapshotTask = (task) => ({
+  _id: task._id,
+  status: task.status,
+  category: task.category,
+  agent: task.agent ? task.agent._id || task.agent : null,
+  notes: task.notes,
+  firstName: task.firstName,
+  phone: task.phone,
+  priority: task.priority,
+  dueAt: task.dueAt || null,
+  followUpAt: task.followUpAt || null,
+});
+
+/**
+ * Build the actor fields for an event from a request (or null for system changes)
+ */
+const getEventActor = (req) => {
+  if (!req) return { actor: null };
+  const { actor, actorModel, actorRole } = getRequestActor(req);
+  return { actor, actorModel, actorRole };
+};
+
+/**
+ * Build (unsaved) events for every tracked field that differs between two snapshots
+ * @param {Object} before - snapshotTask() of the task before the change
+ * @param {Object} after - Task after the change
+ * @param {Object} context - { req, source, reason }
+ * @returns {Object[]} Event objects ready for insertMany
+ */
+const buildChangeEvents = (before, after, { req, source = "manual", reason } = {}) => {
+  const current = snapshotTask(after);
+  const actor = getEventActor(req);
+
+  return Object.entries(TRACKED_FIELDS)
+    .filter(([field]) => String(before[field] ?? "") !== String(current[field] ?? ""))
+    .map(([field, type]) => ({
+      task: current._id,
+      agent: current.agent,
+      type,
+      field,
+      from: before[field] ?? null,
+      to: current[field] ?? null,
+      source,
+      ...(reason && { reason }),
+      taskLabel: getTaskLabel(current),
+      ...actor,
+    }));
+};
+
+/**
+ * Build a "created" event for a new task
+ * @param {Object} task - The created task
+ * @param {Object} context - { req, source, actor }
+ */
+const buildCreatedEvent = (task, { req, source = "manual", actor } = {}) => ({
+  task: task._id,
+  agent: task.agent || null,
+  type: "created",
+  to: { status: task.status, category: task.category, agent: task.agent || null },
+  source,
+  taskLabel: getTaskLabel(task),
+  ...(actor || getEventActor(req)),
+});
+
+/**
+ * Build a "deleted" event for a removed task
+ * @param {Object} task - The deleted task
+ * @param {Object} context - { req, source }
+ */
+const buildDeletedEvent = (task, { req, source = "manual" } = {}) => ({
+  task: task._id,
+  agent: task.agent ? task.agent._id || task.agent : null,
+  type: "deleted",
+  from: { status: task.status, category: task.category },
+  source,
+  taskLabel: getTaskLabel(task),
+  ...getEventActor(req),
+});
+
+/**
+ * Build a "restored" event for a task brought back from the trash
+ * @param {Object} task - The restored task
+ * @param {Object} context - { req, source }
+ */
+const buildRestoredEvent = (task, { req, source = "manual" } = {}) => ({
+  task: task._id,
+  agent: task.agent ? task.agent._id || task.agent : null,
+  type: "restored",
+  to: { status: task.status, category: task.category },
+  source,
+  taskLabel: getTaskLabel(task),
+  ...getEventActor(req),
+});
+
+/**
+ * Build an "sla_breached" event for a task found past its due date
+ * @param {Object} task - The breached task
+ */
+const buildSlaBreachedEvent = (task) => ({
+  task: task._id,
+  agent: task.agent || null,
+  type: "sla_breached",
+  field: "dueAt",
+  to: task.dueAt,
+  source: "system",
+  taskLabel: getTaskLabel(task),
+  actor: null,
+});
+
+/**
+ * Build a "follow_up_due" event for a task whose follow-up time has come
+ * @param {Object} task - The task whose follow-up came due
+ */
+const buildFollowUpDueEvent = (task) => ({
+  task: task._id,
+  agent: task.agent || null,
+  type: "follow_up_due",
+  field: "followUpAt",
+  to: task.followUpAt,
+  source: "system",
+  taskLabel: getTaskLabel(task),
+  actor: null,
+});
+
+/**
+ * Persist events - history is best effort and never fails the change it describes
+ * @param {Object[]} events - Event objects from the build* helpers
+ */
+const recordTaskEvents = async (events) => {
+  if (!events || events.length === 0) return;
+
+  try {
+    await TaskEvent.insertMany(events, { ordered: false });
+  } catch (error) {
+    console.error("[TaskEvent] Failed to record task events:", error);
+  }
+};
+
+module.exports = {
+  getEventActor,
+  snapshotTask,
+  buildChangeEvents,
+  buildCreatedEvent,
+  buildDeletedEvent,
+  buildRestoredEvent,
+  buildSlaBreachedEvent,
+  buildFollowUpDueEvent,
+  recordTaskEvents,
+};
@@ -0,0 +1,161 @@
+/**
+ * Task Search Service
+ * Free-text search over task names and notes (MongoDB text index, ranked by
+ * relevance) and phone search that ignores formatting.
+ */
+
+const Task = require("../models/Task");
+
+// A query is treated as a phone number when it only contains phone characters and enough digits
+const PHONE_QUERY_PATTERN = /^\+?[\d\s\-().]+$/;
+const MIN_PHONE_DIGITS = 4;
+
+const SNIPPET_RADIUS = 60; // Characters of context either side of the first match
+const HIGHLIGHT_FIELDS = ["firstName", "notes"];
+
+/**
+ * Strip formatting from a phone number
+ * @param {string} phone - e.g. "+1 (555) 123-4567"
+ * @returns {string} Digits only, e.g. "15551234567"
+ */
+const normalizePhone = (phone) => String(phone || "").replace(/\D/g, "");
+
+/**
+ * Check whether a search string should be treated as a phone number
+ */
+const isPhoneQuery = (q) => PHONE_QUERY_PATTERN.test(q) && normalizePhone(q).length >= MIN_PHONE_DIGITS;
+
+/**
+ * Regex matching the digits in order with any formatting in between,
+ * so "5551234" finds "555-123-4" and "(555) 1234" alike
+ */
+const buildPhoneRegex = (digits) => new RegExp(digits.split("").join("\\D*"));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Turn the search string into patterns for highlighting
+ * The text index stems words ("refunds" matches "refund"), so common suffixes
+ * are dropped and any word starting with the stem is highlighted.
+ */
+const buildHighlightPattern = (q) => {
+  const stems = q
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length >= 2)
+    .map((term) => (term.length > 4 ? term.replace(/(ing|ed|es|s)$/, "") : term));
+
+  if (stems.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${[...new Set(stems)].map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu");
+};
+
+/**
+ * Build an HTML-safe snippet around the first match with matches wrapped in <mark>
+ * @param {string} text - Field value
+ * @param {RegExp} pattern - Global highlight pattern
+ * @returns {string|null} Snippet, or null if nothing matched
+ */
+const buildSnippet = (text, pattern) => {
+  if (!text || !pattern) return null;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end);
+
+  let snippet = "";
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(excerpt)) !== null) {
+    snippet += escapeHtml(excerpt.slice(lastIndex, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(lastIndex));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+/**
+ * Highlight the digits of a phone match, keeping the stored formatting
+ */
+const buildPhoneSnippet = (phone, digits) => {
+  if (!phone) return null;
+  const match = buildPhoneRegex(digits).exec(phone);
+  if (!match) return null;
+
+  const before = phone.slice(0, match.index);
+  const after = phone.slice(match.index + match[0].length);
+  return `${escapeHtml(before)}<mark>${escapeHtml(match[0])}</mark>${escapeHtml(after)}`;
+};
+
+/**
+ * Search tasks
+ * @param {Object} options
+ * @param {string} options.q - Search string
+ * @param {Object} options.filter - Additional MongoDB filter (role scoping, status, ...)
+ * @param {number} options.limit - Page size
+ * @param {number} options.page - Page number (1-based)
+ * @returns {Promise<Object>} { mode, results: [{ task, score, highlights }], total }
+ */
+const searchTasks = async ({ q, filter = {}, limit, page }) => {
+  const skip = (page - 1) * limit;
+
+  if (isPhoneQuery(q)) {
+    const digits = normalizePhone(q);
+    const query = { ...filter, phone: { $regex: buildPhoneRegex(digits) } };
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).populate("agent", "name email").lean(),
+      Task.countDocuments(query),
+    ]);
+
+    return {
+      mode: "phone",
+      total,
+      results: tasks.map((task) => ({
+        task,
+        // Full-number matches rank first within the page
+        score: normalizePhone(task.phone) === digits ? 1 : digits.length / Math.max(normalizePhone(task.phone).length, 1),
+        highlights: [{ field: "phone", snippet: buildPhoneSnippet(task.phone, digits) }],
+      })).sort((a, b) => b.score - a.score),
+    };
+  }
+
+  const query = { ...filter, $text: { $search: q } };
+
+  const [tasks, total] = await Promise.all([
+    Task.find(query, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("agent", "name email")
+      .lean(),
+    Task.countDocuments(query),
+  ]);
+
+  const pattern = buildHighlightPattern(q);
+
+  return {
+    mode: "text",
+    total,
+    results: tasks.map(({ score, ...task }) => ({
+      task,
+      score,
+      highlights: HIGHLIGHT_FIELDS
+        .map((field) => ({ field, snippet: buildSnippet(task[field], pattern) }))
+        .filter((highlight) => highlight.snippet),
+    })),
+  };
+};
+
+module.exports = {
+  normalizePhone,
+  searchTasks,
+};
@@ -0,0 +1,284 @@
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens backed by a
+ * server-side Session, and handles revocation on logout/password change.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const Agent = require("../models/Agent");
+const { getAccountRole } = require("./accountService");
+
+// Configuration
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000; // 7 days
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // 5 minutes to enter the second factor
+
+const ACCOUNT_MODELS = { User, Agent };
+
+/**
+ * Error raised for any token problem; `code` is returned to clients so they
+ * can tell an expired token (refresh it) from a revoked one (log in again)
+ */
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "TokenError";
+    this.code = code;
+  }
+}
+
+/**
+ * Hash a refresh token secret for storage
+ */
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+/**
+ * Generate a refresh token bound to a session
+ * Format: "<sessionId>.<random secret>" so the session can be found without a scan
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  return { token: `${sessionId}.${secret}`, hash: hashSecret(secret) };
+};
+
+/**
+ * Sign an access token for an account within a session
+ */
+const signAccessToken = (account, sessionId) => {
+  return jwt.sign(
+    {
+      id: account._id,
+      email: account.email,
+      role: getAccountRole(account),
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * Create a new session for an account and issue its first token pair
+ * @param {Object} account - User or Agent document
+ * @param {Object} req - Express request (for IP/user agent bookkeeping)
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, session }
+ */
+const issueTokens = async (account, req = {}) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { token: refreshToken, hash } = generateRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    account: account._id,
+    accountModel: account instanceof Agent ? "Agent" : "User",
+    refreshTokenHash: hash,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+    ip: req.ip,
+    userAgent: req.get ? req.get("User-Agent") : undefined,
+  });
+
+  return {
+    accessToken: signAccessToken(account, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since it means the token chain has been copied.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, account, sessionId }
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw new TokenError("TOKEN_MISSING", "Refresh token is required");
+  }
+
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new TokenError("TOKEN_INVALID", "Invalid refresh token");
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new TokenError("TOKEN_INVALID", "Invalid refresh token");
+  }
+  if (session.revokedAt) {
+    throw new TokenError("TOKEN_REVOKED", "Session has been revoked");
+  }
+  if (session.expiresAt <= new Date()) {
+    throw new TokenError("TOKEN_EXPIRED", "Session has expired");
+  }
+
+  const account = await ACCOUNT_MODELS[session.accountModel].findById(session.account);
+  if (!account) {
+    throw new TokenError("TOKEN_REVOKED", "Account no longer exists");
+  }
+
+  // Swap the hash only if the presented token is still the current one, so two
+  // concurrent refreshes with the same token can't both get a new pair
+  const { token: nextRefreshToken, hash } = generateRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    { $set: { refreshTokenHash: hash, lastUsedAt: new Date() } },
+    { new: true }
+  );
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "refresh-token-reuse" } }
+    );
+    console.warn(`[Auth] Refresh token reuse detected for session ${session._id}, session revoked`);
+    throw new TokenError("TOKEN_REUSED", "Refresh token has already been used");
+  }
+
+  return {
+    accessToken: signAccessToken(account, session._id),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    account,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * Verify an access token and make sure its session is still live
+ * @param {string} token - Access token (JWT)
+ * @returns {Promise<Object>} Decoded payload
+ */
+const verifyAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new TokenError("TOKEN_EXPIRED", "Access token has expired");
+    }
+    throw new TokenError("TOKEN_INVALID", "Invalid access token");
+  }
+
+  // Tokens issued before sessions existed never expire - refuse them
+  // (this also rejects two-factor challenge tokens, which have no session)
+  if (!payload.sid || payload.purpose) {
+    throw new TokenError("TOKEN_INVALID", "Session is outdated. Please log in again.");
+  }
+
+  const session = await Session.findById(payload.sid).select("revokedAt expiresAt").lean();
+  if (!session || session.revokedAt) {
+    throw new TokenError("TOKEN_REVOKED", "Session has been revoked");
+  }
+  if (session.expiresAt <= new Date()) {
+    throw new TokenError("TOKEN_EXPIRED", "Session has expired");
+  }
+
+  return payload;
+};
+
+/**
+ * Issue the short-lived token proving the password step passed
+ * It can only be exchanged at the second login step, never used as an access token.
+ * @param {Object} account - User document with two-factor enabled
+ * @returns {string} Signed challenge token
+ */
+const issueTwoFactorChallenge = (account) =>
+  jwt.sign({ id: account._id, purpose: "2fa-challenge" }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token from the first login step
+ * @returns {Object} Decoded payload ({ id })
+ */
+const verifyTwoFactorChallenge = (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new TokenError("TOKEN_EXPIRED", "Two-factor challenge has expired. Please log in again.");
+    }
+    throw new TokenError("TOKEN_INVALID", "Invalid two-factor challenge");
+  }
+
+  if (payload.purpose !== "2fa-challenge") {
+    throw new TokenError("TOKEN_INVALID", "Invalid two-factor challenge");
+  }
+  return payload;
+};
+
+/**
+ * Revoke a single session (logout)
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Why the session was revoked
+ */
+const revokeSession = async (sessionId, reason = "logout") => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return;
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revoke the session a refresh token belongs to, if the token is its current one
+ * Unlike rotation, a wrong secret is simply ignored: knowing a session id must not
+ * be enough to end someone else's session.
+ * @param {string} refreshToken - Refresh token presented at logout
+ * @param {string} reason - Why the session was revoked
+ * @returns {Promise<string|null>} Id of the revoked session, or null if the token didn't match
+ */
+const revokeSessionByRefreshToken = async (refreshToken, reason = "logout") => {
+  if (!refreshToken || typeof refreshToken !== "string") return null;
+
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0 ? sessionId : null;
+};
+
+/**
+ * Revoke every live session of an account (password change/reset, "log out everywhere")
+ * @param {string} accountId - User or Agent id
+ * @param {string} reason - Why the sessions were revoked
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (accountId, reason) => {
+  const result = await Session.updateMany(
+    { account: accountId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Get the session id encoded in a refresh token (without verifying it)
+ */
+const getSessionIdFromRefreshToken = (refreshToken) =>
+  typeof refreshToken === "string" ? refreshToken.split(".")[0] : null;
+
+module.exports = {
+  TokenError,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  issueTokens,
+  rotateRefreshToken,
+  verifyAccessToken,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  getSessionIdFromRefreshToken,
+};
@@ -0,0 +1,182 @@
+/**
+ * TOTP Service
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s step - the
+ * defaults understood by Google Authenticator, Authy, 1Password, ...),
+ * secret encryption at rest and recovery codes.
+ */
+
+const crypto = require("crypto");
+
+// Configuration
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "TaskFlow";
+const TOTP_DIGITS = 6;
+const TOTP_STEP = 30; // seconds
+const TOTP_WINDOW = 1; // Accept one step of clock drift either way
+const SECRET_BYTES = 20; // 160-bit secret as recommended by RFC 4226
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and case ignored)
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new base32 TOTP secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Compute the code for a given time step (RFC 4226 HOTP)
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return binary.toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Current time step
+ */
+const getCurrentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_STEP);
+
+/**
+ * Verify a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Step of the last accepted code (replay protection)
+ * @returns {number|null} Matched time step, or null if the code is invalid or replayed
+ */
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const currentStep = getCurrentStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateCodeForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI encoded in enrolment QR codes
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the account email
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Key for encrypting secrets at rest (TOTP_ENCRYPTION_KEY, falling back to JWT_SECRET)
+ */
+const getEncryptionKey = () =>
+  crypto.createHash("sha256").update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @returns {string} "iv.authTag.ciphertext" in base64
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+/**
+ * Decrypt a stored secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, authTag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Hash a recovery code for storage
+ */
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: plain codes to show once, hashes: values to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex"); // 10 hex chars
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
@@ -0,0 +1,84 @@
+/**
+ * Trash Service
+ * Permanently removes tasks and agents that have been in the trash longer
+ * than the retention period. Soft deletion itself lives in models/plugins/softDelete.js.
+ */
+
+const Task = require("../models/Task");
+const Agent = require("../models/Agent");
+const TaskEvent = require("../models/TaskEvent");
+const TaskComment = require("../models/TaskComment");
+const TaskAttachment = require("../models/TaskAttachment");
+const Upload = require("../models/Upload");
+const { removeStoredFiles } = require("./attachmentStorage");
+
+// Configuration
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL = (parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+
+/**
+ * Date before which trashed items are due for purging
+ * @returns {Date}
+ */
+const getPurgeCutoff = () => new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * When a trashed item will be purged
+ * @param {Date} deletedAt - When it was moved to the trash
+ * @returns {Date|null}
+ */
+const getPurgeDate = (deletedAt) =>
+  deletedAt ? new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) : null;
+
+/**
+ * Permanently delete tasks and agents whose retention period has passed
+ * Task history, comments and attachment files go with the task; uploads drop their references to it.
+ * Agents that tasks still point to (e.g. their completed work) stay in the trash so the
+ * tasks keep their attribution; they are purged once none of their tasks remain.
+ * @returns {Promise<Object>} { tasks, agents } - Number of documents purged
+ */
+const purgeExpiredTrash = async () => {
+  try {
+    const expired = { deletedAt: { $ne: null, $lte: getPurgeCutoff() } };
+
+    const taskIds = await Task.find(expired).distinct("_id");
+    if (taskIds.length > 0) {
+      await Task.deleteMany({ _id: { $in: taskIds } });
+      await TaskEvent.deleteMany({ task: { $in: taskIds } });
+      await TaskComment.deleteMany({ task: { $in: taskIds } });
+
+      const attachments = await TaskAttachment.find({ task: { $in: taskIds } }).select("storage storageKey").lean();
+      await TaskAttachment.deleteMany({ task: { $in: taskIds } });
+      await removeStoredFiles(attachments);
+
+      await Upload.updateMany({ tasks: { $in: taskIds } }, { $pull: { tasks: { $in: taskIds } } });
+    }
+
+    const expiredAgentIds = await Agent.find(expired).distinct("_id");
+    const attributedAgentIds = expiredAgentIds.length > 0
+      ? await Task.find({ agent: { $in: expiredAgentIds } }).withDeleted().distinct("agent")
+      : [];
+    const agentResult = await Agent.deleteMany({
+      ...expired,
+      _id: { $in: expiredAgentIds, $nin: attributedAgentIds },
+    });
+
+    if (taskIds.length > 0 || agentResult.deletedCount > 0) {
+      console.log(`[Trash] Purged ${taskIds.length} task(s) and ${agentResult.deletedCount} agent(s)`);
+    }
+
+    return { tasks: taskIds.length, agents: agentResult.deletedCount };
+  } catch (error) {
+    console.error("[Trash] Purge failed:", error);
+    return { tasks: 0, agents: 0 };
+  }
+};
+
+// Start purge interval
+setInterval(purgeExpiredTrash, PURGE_INTERVAL);
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeExpiredTrash,
+};
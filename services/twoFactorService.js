@@ -0,0 +1,45 @@
+/**
+ * Two-Factor Service
+ * Verifies a user's second factor (TOTP code or single-use recovery code)
+ * and persists the replay/consumption state.
+ */
+
+const User = require("../models/User");
+const { verifyCode, decryptSecret, hashRecoveryCode } = require("./totpService");
+
+/**
+ * Verify a TOTP code or recovery code for a user with two-factor enabled
+ * @param {Object} user - User document
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} "totp" or "recovery-code" on success, null on failure
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+    if (step === null) return null;
+
+    // Conditional update so the same code can't be accepted twice in parallel
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $lt: step } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1 ? "totp" : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return result.modifiedCount === 1 ? "recovery-code" : null;
+  }
+
+  return null;
+};
+
+module.exports = {
+  verifySecondFactor,
+};
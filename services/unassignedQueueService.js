@@ -0,0 +1,59 @@
+/**
+ * Unassigned Queue Service
+ * Tasks that no agent had room for (capacity or working hours) are stored with
+ * agent null. They are placed again periodically, and on demand by admins.
+ */
+
+const Task = require("../models/Task");
+const { OPEN_TASK_STATUSES } = require("../utils/taskStatus");
+const { planAssignments, applyReassignments } = require("./assignmentService");
+const { getSetting } = require("./settingsService");
+
+// Configuration
+const QUEUE_INTERVAL = (parseInt(process.env.UNASSIGNED_QUEUE_INTERVAL_MINUTES) || 5) * 60 * 1000;
+const MAX_BATCH_SIZE = 500; // Oldest tasks first; the rest wait for the next run
+
+const QUEUED = { agent: null, status: { $in: OPEN_TASK_STATUSES } };
+
+/**
+ * Hand queued tasks to agents who now have room
+ * @param {Object} options - { strategy } to override the default, { req } when triggered by a user
+ * @returns {Promise<Object>} { assigned: [{ taskId, from, to }], remaining }
+ */
+const assignQueuedTasks = async ({ strategy, req } = {}) => {
+  const tasks = await Task.find(QUEUED).sort({ createdAt: 1, _id: 1 }).limit(MAX_BATCH_SIZE);
+
+  let assigned = [];
+  if (tasks.length > 0) {
+    const assignments = await planAssignments(tasks, { strategy: strategy || await getSetting("assignment.strategy") });
+    assigned = await applyReassignments(
+      assignments.filter(({ agent }) => agent),
+      { req, reason: "Assigned from the unassigned queue", source: req ? "manual" : "system" }
+    );
+  }
+
+  const remaining = await Task.countDocuments(QUEUED);
+  return { assigned, remaining };
+};
+
+/**
+ * Periodic run - agents come on shift and finish work between runs
+ */
+const processQueue = async () => {
+  try {
+    const { assigned, remaining } = await assignQueuedTasks();
+    if (assigned.length > 0) {
+      console.log(`[Queue] Assigned ${assigned.length} queued task(s), ${remaining} still waiting`);
+    }
+  } catch (error) {
+    console.error("[Queue] Failed to assign queued tasks:", error);
+  }
+};
+
+// Start queue interval
+setInterval(processQueue, QUEUE_INTERVAL);
+
+module.exports = {
+  QUEUED,
+  assignQueuedTasks,
+};
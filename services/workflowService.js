@@ -0,0 +1,146 @@
+/**
+ * Workflow Service
+ * Checks task status changes against the transition graph. The graph maps a
+ * status to the statuses it may move to, each optionally listing request fields
+ * the change requires (e.g. a resolution note when completing).
+ */
+
+const { getSetting } = require("./settingsService");
+const { TASK_STATUSES, OPEN_TASK_STATUSES, TRANSITION_FIELDS } = require("../utils/taskStatus");
+
+/**
+ * Error raised for a status change the workflow doesn't allow (mapped to a 400 by controllers)
+ */
+class WorkflowError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "WorkflowError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Load the current transition graph
+ * @returns {Promise<Object>} { [from]: { [to]: { requires } } }
+ */
+const getWorkflow = () => getSetting("workflow.transitions");
+
+/**
+ * Statuses a task may move to from a status
+ * @param {Object} workflow - Transition graph
+ * @param {string} from - Current status
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (workflow, from) => Object.keys(workflow[from] || {});
+
+const isFilled = (value) => typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Check a status change against the workflow
+ * Staying in the same status is always allowed.
+ * @param {Object} workflow - Transition graph
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} fields - Request fields that may be required, e.g. { resolutionNote }
+ * @returns {WorkflowError|null} Why the change is refused, or null if it is allowed
+ */
+const getTransitionError = (workflow, from, to, fields = {}) => {
+  if (from === to) return null;
+
+  const rule = workflow[from] && workflow[from][to];
+  if (!rule) {
+    const allowed = getAllowedTransitions(workflow, from);
+    return new WorkflowError(
+      "INVALID_TRANSITION",
+      `Cannot move a task from ${from} to ${to}`,
+      { from, to, allowed }
+    );
+  }
+
+  const missing = (rule.requires || []).filter((field) => !isFilled(fields[field]));
+  if (missing.length > 0) {
+    return new WorkflowError(
+      "MISSING_TRANSITION_FIELDS",
+      `Moving a task from ${from} to ${to} requires: ${missing.join(", ")}`,
+      { from, to, missing }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Validate a transition graph from a request body
+ * Every open status a task can reach needs a way out, so no task can get stuck.
+ * Statuses the graph never leads to are simply unused.
+ * @param {Object} transitions - { [from]: { [to]: { requires } } }
+ * @returns {string|null} Error message, or null if the graph is acceptable
+ */
+const validateWorkflow = (transitions) => {
+  const isObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+
+  if (!isObject(transitions)) {
+    return "Transitions must be an object of status: { nextStatus: { requires } }";
+  }
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!TASK_STATUSES.includes(from)) {
+      return `Invalid status: ${from}. Must be any of: ${TASK_STATUSES.join(", ")}`;
+    }
+    if (!isObject(targets)) {
+      return `Transitions from ${from} must be an object of nextStatus: { requires }`;
+    }
+
+    for (const [to, rule] of Object.entries(targets)) {
+      if (!TASK_STATUSES.includes(to)) {
+        return `Invalid status: ${to}. Must be any of: ${TASK_STATUSES.join(", ")}`;
+      }
+      if (to === from) {
+        return `A status cannot transition to itself (${from})`;
+      }
+      if (!isObject(rule)) {
+        return `Transition ${from} -> ${to} must be an object, e.g. {} or { "requires": ["resolutionNote"] }`;
+      }
+      if (rule.requires !== undefined) {
+        if (!Array.isArray(rule.requires) || rule.requires.some((field) => !TRANSITION_FIELDS.includes(field))) {
+          return `Transition ${from} -> ${to}: requires must be a list of: ${TRANSITION_FIELDS.join(", ")}`;
+        }
+      }
+    }
+  }
+
+  // New tasks start as pending
+  const reachable = new Set(["pending", ...Object.values(transitions).flatMap((targets) => Object.keys(targets))]);
+  const stuck = OPEN_TASK_STATUSES.filter((status) =>
+    reachable.has(status) && getAllowedTransitions(transitions, status).length === 0
+  );
+  if (stuck.length > 0) {
+    return `Open statuses need at least one transition: ${stuck.join(", ")}`;
+  }
+
+  return null;
+};
+
+/**
+ * Keep only the known parts of a validated graph (drops unknown rule keys and duplicate fields)
+ * @param {Object} transitions - Graph that passed validateWorkflow()
+ * @returns {Object}
+ */
+const normalizeWorkflow = (transitions) =>
+  Object.fromEntries(Object.entries(transitions).map(([from, targets]) => [
+    from,
+    Object.fromEntries(Object.entries(targets).map(([to, rule]) => [
+      to,
+      rule.requires && rule.requires.length > 0 ? { requires: [...new Set(rule.requires)] } : {},
+    ])),
+  ]));
+
+module.exports = {
+  WorkflowError,
+  getWorkflow,
+  getAllowedTransitions,
+  getTransitionError,
+  validateWorkflow,
+  normalizeWorkflow,
+};
@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+
+/**
+ * Cookie-based session helpers
+ * The access and refresh tokens travel in httpOnly cookies so browser
+ * clients never hold them in JavaScript. A CSRF token derived from the
+ * session id is exposed in a readable cookie and must be echoed back in the
+ * X-CSRF-Token header on state-changing requests.
+ */
+
+const ACCESS_COOKIE = "token";
+const REFRESH_COOKIE = "refreshToken";
+const CSRF_COOKIE = "csrfToken";
+const CSRF_HEADER = "X-CSRF-Token";
+
+// Methods that never change state and so don't need a CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Secure cookies by default in production; override for HTTPS staging or plain-HTTP setups
+const isSecure = process.env.COOKIE_SECURE
+  ? process.env.COOKIE_SECURE === "true"
+  : process.env.NODE_ENV === "production";
+
+const baseOptions = {
+  sameSite: process.env.COOKIE_SAME_SITE || "Lax", // Use "None" (with Secure) for cross-site dashboards
+  secure: isSecure,
+  ...(process.env.COOKIE_DOMAIN && { domain: process.env.COOKIE_DOMAIN }),
+};
+
+const accessCookieOptions = { ...baseOptions, httpOnly: true, path: "/" };
+const refreshCookieOptions = { ...baseOptions, httpOnly: true, path: "/api/auth" }; // Only sent to the auth routes
+const csrfCookieOptions = { ...baseOptions, httpOnly: false, path: "/" }; // Readable by the dashboard
+
+/**
+ * Derive the CSRF token for a session
+ * Bound to the session so a token planted by another site or subdomain is useless.
+ * @param {string} sessionId - Session id (the "sid" claim)
+ * @returns {string} CSRF token
+ */
+const generateCsrfToken = (sessionId) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(`csrf:${sessionId}`).digest("hex");
+
+/**
+ * Check the CSRF header of a request against its session
+ * @param {Object} req - Express request
+ * @param {string} sessionId - Session id the request authenticated with
+ * @returns {boolean}
+ */
+const isValidCsrfRequest = (req, sessionId) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const presented = req.get(CSRF_HEADER);
+  if (!presented || !sessionId) return false;
+
+  const expected = Buffer.from(generateCsrfToken(sessionId));
+  const actual = Buffer.from(String(presented));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Write the session cookies after login or refresh
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { accessToken, refreshToken, expiresIn }
+ * @param {string} sessionId - Session id, used for the CSRF token
+ * @param {number} refreshTtl - Refresh token lifetime in ms
+ * @returns {string} The CSRF token that was set
+ */
+const setAuthCookies = (res, { accessToken, refreshToken, expiresIn }, sessionId, refreshTtl) => {
+  const csrfToken = generateCsrfToken(sessionId);
+
+  res.cookie(ACCESS_COOKIE, accessToken, { ...accessCookieOptions, maxAge: expiresIn * 1000 });
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions, maxAge: refreshTtl });
+  res.cookie(CSRF_COOKIE, csrfToken, { ...csrfCookieOptions, maxAge: refreshTtl });
+
+  return csrfToken;
+};
+
+/**
+ * Remove all session cookies (logout, revoked refresh token)
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, accessCookieOptions);
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+  res.clearCookie(CSRF_COOKIE, csrfCookieOptions);
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  generateCsrfToken,
+  isValidCsrfRequest,
+  setAuthCookies,
+  clearAuthCookies,
+};
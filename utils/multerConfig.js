@@ -1,4 +1,25 @@
 const multer = require("multer");
+const path = require("path");
+
+// Attachment limits
+const ATTACHMENT_MAX_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 25;
+const ATTACHMENT_MAX_FILES = 5; // Per request
+
+// MIME types accepted as task attachments, with the extensions each may carry
+const ATTACHMENT_TYPES = {
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/gif": [".gif"],
+  "image/webp": [".webp"],
+  "application/pdf": [".pdf"],
+  "audio/mpeg": [".mp3"],
+  "audio/mp4": [".m4a", ".mp4"],
+  "audio/x-m4a": [".m4a"],
+  "audio/wav": [".wav"],
+  "audio/x-wav": [".wav"],
+  "audio/ogg": [".ogg", ".oga"],
+  "audio/webm": [".webm"],
+};
 
 // Configure storage for uploaded files
 const storage = multer.diskStorage({
@@ -15,4 +36,61 @@ const upload = multer({
   },
 });
 
-module.exports = upload; // Export the configured upload middleware
+/**
+ * Make an uploaded file name safe to store and to send back in a header
+ * Drops any path and keeps letters, digits, dots, dashes and underscores.
+ * @param {string} name - Name given by the client
+ * @returns {string}
+ */
+const sanitizeFilename = (name) => {
+  const base = path.basename(String(name || "").replace(/\\/g, "/"))
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Accents split off by NFKD
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/^[._]+/, "");
+  return base.slice(-100) || "file";
+};
+
+// Task attachments are kept in memory and handed to the storage adapter (services/attachmentStorage.js)
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_SIZE_MB * 1024 * 1024, files: ATTACHMENT_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    const extensions = ATTACHMENT_TYPES[file.mimetype];
+    if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+      const error = new Error(`Unsupported file type. Allowed: ${[...new Set(Object.values(ATTACHMENT_TYPES).flat())].join(", ")}`);
+      error.code = "UNSUPPORTED_FILE_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Accept up to ATTACHMENT_MAX_FILES files in the "files" field, answering 4xx for rejected uploads
+ */
+const acceptAttachments = (req, res, next) =>
+  attachmentUpload.array("files", ATTACHMENT_MAX_FILES)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: `Files must be at most ${ATTACHMENT_MAX_SIZE_MB} MB`, code: err.code });
+    }
+    if (err.code === "UNSUPPORTED_FILE_TYPE") {
+      return res.status(415).json({ message: err.message, code: err.code });
+    }
+    if (err instanceof multer.MulterError) {
+      const message = err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+        ? `Send at most ${ATTACHMENT_MAX_FILES} files in the "files" field`
+        : err.message;
+      return res.status(400).json({ message, code: err.code });
+    }
+    next(err);
+  });
+
+module.exports = {
+  upload, // CSV uploads
+  acceptAttachments,
+  sanitizeFilename,
+  ATTACHMENT_TYPES,
+  ATTACHMENT_MAX_SIZE_MB,
+};
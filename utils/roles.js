@@ -0,0 +1,26 @@
+/**
+ * Role and API key scope definitions shared by the models, the JWT payload and authorize()
+ */
+
+// Every role an authenticated account can carry
+const ROLES = ["admin", "supervisor", "agent", "viewer"];
+
+// Roles stored on the User collection (agents live in their own collection)
+const USER_ROLES = ["admin", "supervisor", "viewer"];
+
+// Scopes an admin can grant to an API key (machine-to-machine integrations)
+const API_KEY_SCOPES = ["tasks:read", "tasks:write", "analytics:read", "upload:write"];
+
+/**
+ * Resolve which collection holds accounts with the given role
+ * @param {string} role - One of ROLES
+ * @returns {string} Mongoose model name ("Agent" or "User")
+ */
+const getAccountModelName = (role) => (role === "agent" ? "Agent" : "User");
+
+module.exports = {
+  ROLES,
+  USER_ROLES,
+  API_KEY_SCOPES,
+  getAccountModelName,
+};
@@ -0,0 +1,100 @@
+/**
+ * Agent working-hours schedules
+ * A schedule is { timezone, hours: [{ day, start, end }] } with day 0 (Sunday) to 6
+ * and "HH:MM" times in the agent's timezone. A shift whose end is not after its
+ * start runs past midnight. Agents without hours are treated as always on shift.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SHIFTS = 21;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timezone - e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate a schedule from a request body
+ * @param {Object} schedule - { timezone, hours }
+ * @returns {string|null} Error message, or null if the schedule is acceptable
+ */
+const validateSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== "object") {
+    return "Schedule must be an object with timezone and hours";
+  }
+  if (!isValidTimezone(schedule.timezone)) {
+    return "Invalid timezone. Use an IANA name such as \"Europe/London\"";
+  }
+  if (!Array.isArray(schedule.hours) || schedule.hours.length > MAX_SHIFTS) {
+    return `Hours must be an array of at most ${MAX_SHIFTS} shifts`;
+  }
+
+  for (const shift of schedule.hours) {
+    if (!shift || !Number.isInteger(shift.day) || shift.day < 0 || shift.day > 6) {
+      return "Each shift needs a day from 0 (Sunday) to 6 (Saturday)";
+    }
+    if (!TIME_PATTERN.test(shift.start) || !TIME_PATTERN.test(shift.end)) {
+      return "Shift start and end must be times in HH:MM format";
+    }
+    if (shift.start === shift.end) {
+      return "A shift cannot start and end at the same time";
+    }
+  }
+  return null;
+};
+
+/**
+ * Weekday and "HH:MM" of a moment in a timezone
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+
+  return { day: WEEKDAYS.indexOf(part("weekday")), time: `${part("hour")}:${part("minute")}` };
+};
+
+/**
+ * Whether an agent is working at a given moment
+ * @param {Object} agent - Agent document or plain object
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {boolean}
+ */
+const isOnShift = (agent, date = new Date()) => {
+  const schedule = agent.schedule;
+  if (!schedule || !schedule.hours || schedule.hours.length === 0) return true;
+
+  const { day, time } = getLocalTime(date, schedule.timezone || "UTC");
+  const previousDay = (day + 6) % 7;
+
+  return schedule.hours.some(({ day: shiftDay, start, end }) => {
+    if (start < end) {
+      return shiftDay === day && time >= start && time < end;
+    }
+    // Overnight: from start until midnight, then until end on the following day
+    return (shiftDay === day && time >= start) || (shiftDay === previousDay && time < end);
+  });
+};
+
+module.exports = {
+  isValidTimezone,
+  validateSchedule,
+  isOnShift,
+};
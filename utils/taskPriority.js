@@ -0,0 +1,19 @@
+/**
+ * Task priority definitions shared by the task model, listings and SLA policies
+ */
+
+// Every priority a task can have, lowest first
+const TASK_PRIORITIES = ["low", "normal", "high", "urgent"];
+
+const DEFAULT_PRIORITY = "normal";
+
+// Priority given to new tasks in a category when its SLA policy doesn't set one
+const CATEGORY_PRIORITIES = {
+  Urgent: "urgent",
+};
+
+module.exports = {
+  TASK_PRIORITIES,
+  DEFAULT_PRIORITY,
+  CATEGORY_PRIORITIES,
+};
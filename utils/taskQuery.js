@@ -0,0 +1,277 @@
+/**
+ * Query-string parsing for task listings
+ * Turns ?status=&agent=&sort=&cursor= style parameters into a MongoDB filter,
+ * sort specification and pagination window.
+ */
+
+const mongoose = require("mongoose");
+const { CATEGORIES } = require("../services/categorizationService");
+const { TASK_STATUSES, OPEN_TASK_STATUSES } = require("./taskStatus");
+const { TASK_PRIORITIES } = require("./taskPriority");
+const CATEGORY_SOURCES = ["ai", "manual", "default"];
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sortable fields and how their cursor values are revived
+const SORT_FIELDS = {
+  createdAt: "date",
+  updatedAt: "date",
+  completedDate: "date",
+  dueAt: "date",
+  followUpAt: "date",
+  status: "string",
+  category: "string",
+  firstName: "string",
+  agent: "objectId",
+};
+
+const DEFAULT_SORT = "-createdAt";
+
+// Date range filters: query prefix -> task field
+const DATE_RANGES = {
+  created: "createdAt",
+  updated: "updatedAt",
+  completed: "completedDate",
+  due: "dueAt",
+  followUp: "followUpAt",
+};
+
+/**
+ * Error raised for malformed query parameters (mapped to a 400 by controllers)
+ */
+class TaskQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TaskQueryError";
+  }
+}
+
+/**
+ * Split a comma-separated parameter and check every value against an allow-list
+ */
+const parseList = (value, allowed, name) => {
+  const values = String(value).split(",").map((v) => v.trim()).filter(Boolean);
+  const invalid = values.filter((v) => !allowed.includes(v));
+  if (invalid.length > 0) {
+    throw new TaskQueryError(`Invalid ${name}: ${invalid.join(", ")}. Must be any of: ${allowed.join(", ")}`);
+  }
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+const parseBoolean = (value, name) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new TaskQueryError(`Invalid ${name}: must be true or false`);
+};
+
+/**
+ * SLA conditions relative to `now`: open past the due date, open inside the at-risk window
+ */
+const slaConditions = (now) => ({
+  overdue: { status: { $in: OPEN_TASK_STATUSES }, dueAt: { $ne: null, $lt: now } },
+  atRisk: { status: { $in: OPEN_TASK_STATUSES }, atRiskAt: { $ne: null, $lte: now }, dueAt: { $gte: now } },
+});
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new TaskQueryError(`Invalid date for ${name}`);
+  }
+  return date;
+};
+
+/**
+ * Build a MongoDB filter from the listing query string
+ * Date ranges use {created,updated,completed,due,followUp}From/To; overdue, atRisk and breached take true/false.
+ * @param {Object} query - req.query
+ * @param {Object} options - { resolveUploadTasks(uploadId) => Promise<ObjectId[]|null> }
+ * @returns {Promise<Object>} MongoDB filter
+ * @throws {TaskQueryError} For invalid values
+ */
+const buildTaskFilter = async (query, { resolveUploadTasks } = {}) => {
+  const filter = {};
+
+  if (query.status) filter.status = parseList(query.status, TASK_STATUSES, "status");
+  if (query.category) filter.category = parseList(query.category, CATEGORIES, "category");
+  if (query.priority) filter.priority = parseList(query.priority, TASK_PRIORITIES, "priority");
+  if (query.categorySource) {
+    filter.categorySource = parseList(query.categorySource, CATEGORY_SOURCES, "categorySource");
+  }
+
+  if (query.agent) {
+    const agentIds = String(query.agent).split(",").map((id) => id.trim());
+    const invalid = agentIds.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new TaskQueryError(`Invalid agent ID: ${invalid.join(", ")}`);
+    }
+    filter.agent = agentIds.length === 1 ? agentIds[0] : { $in: agentIds };
+  }
+
+  Object.entries(DATE_RANGES).forEach(([prefix, field]) => {
+    const from = query[`${prefix}From`];
+    const to = query[`${prefix}To`];
+    if (!from && !to) return;
+
+    filter[field] = {};
+    if (from) filter[field].$gte = parseDate(from, `${prefix}From`);
+    if (to) filter[field].$lte = parseDate(to, `${prefix}To`);
+  });
+
+  // SLA filters are combined with $and so they narrow a status filter instead of replacing it
+  const conditions = slaConditions(new Date());
+  const sla = [];
+  ["overdue", "atRisk"].forEach((name) => {
+    if (query[name] === undefined) return;
+    const condition = conditions[name];
+    sla.push(parseBoolean(query[name], name) ? condition : { $nor: [condition] });
+  });
+  if (query.breached !== undefined) {
+    sla.push({ slaBreachedAt: parseBoolean(query.breached, "breached") ? { $ne: null } : null });
+  }
+  if (sla.length > 0) filter.$and = sla;
+
+  if (query.upload) {
+    if (!mongoose.Types.ObjectId.isValid(query.upload)) {
+      throw new TaskQueryError("Invalid upload ID");
+    }
+    const taskIds = resolveUploadTasks ? await resolveUploadTasks(query.upload) : null;
+    if (!taskIds) {
+      throw new TaskQueryError("Upload not found");
+    }
+    filter._id = { $in: taskIds };
+  }
+
+  return filter;
+};
+
+/**
+ * Parse ?sort=-createdAt,status into an ordered list of [field, direction]
+ * _id is always appended as a tie-breaker so cursors are stable.
+ * @param {string} sortParam - Comma-separated fields, "-" prefix for descending
+ * @returns {Array<[string, number]>}
+ */
+const parseSort = (sortParam = DEFAULT_SORT) => {
+  const fields = String(sortParam || DEFAULT_SORT).split(",").map((f) => f.trim()).filter(Boolean);
+
+  const sort = fields.map((field) => {
+    const direction = field.startsWith("-") ? -1 : 1;
+    const name = field.replace(/^[-+]/, "");
+    if (!SORT_FIELDS[name]) {
+      throw new TaskQueryError(`Invalid sort field: ${name}. Must be any of: ${Object.keys(SORT_FIELDS).join(", ")}`);
+    }
+    return [name, direction];
+  });
+
+  const tieBreaker = sort.length > 0 ? sort[sort.length - 1][1] : -1;
+  sort.push(["_id", tieBreaker]);
+  return sort;
+};
+
+/**
+ * Convert a parsed sort into a Mongoose sort object
+ */
+const toSortObject = (sort) =>
+  sort.reduce((acc, [field, direction]) => ({ ...acc, [field]: direction }), {});
+
+/**
+ * Encode the position of a document in the sort order as an opaque cursor
+ * @param {Object} doc - Last document of the current page
+ * @param {Array<[string, number]>} sort - Parsed sort
+ * @returns {string} base64url cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const values = sort.map(([field]) => {
+    const value = field === "agent" && doc.agent && doc.agent._id ? doc.agent._id : doc[field];
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+};
+
+const reviveValue = (field, value) => {
+  if (value === null) return null;
+  if (field === "_id" || SORT_FIELDS[field] === "objectId") return new mongoose.Types.ObjectId(value);
+  if (SORT_FIELDS[field] === "date") return new Date(value);
+  return value;
+};
+
+/**
+ * Condition matching documents strictly after `value` in the given direction
+ * MongoDB sorts null before every other value, so nulls need explicit handling.
+ */
+const afterCondition = (field, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null; // Nothing sorts below null
+  }
+  if (direction === 1) {
+    return { [field]: { $gt: value } };
+  }
+  if (field === "_id") {
+    return { _id: { $lt: value } }; // Never null
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Build the filter that selects documents after a cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Array<[string, number]>} sort - Parsed sort (must match the previous page's)
+ * @returns {Object} MongoDB filter fragment
+ * @throws {TaskQueryError} For cursors that don't decode or don't match the sort
+ */
+const buildCursorFilter = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    throw new TaskQueryError("Invalid cursor");
+  }
+
+  if (!Array.isArray(values) || values.length !== sort.length || values[values.length - 1] === null) {
+    throw new TaskQueryError("Cursor does not match the requested sort");
+  }
+
+  let revived;
+  try {
+    revived = values.map((value, index) => reviveValue(sort[index][0], value));
+  } catch (error) {
+    throw new TaskQueryError("Invalid cursor");
+  }
+
+  // (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND _id > z) ...
+  const branches = sort
+    .map(([field, direction], index) => {
+      const after = afterCondition(field, revived[index], direction);
+      if (!after) return null;
+
+      const equalities = sort.slice(0, index).map(([prevField], prevIndex) => ({ [prevField]: revived[prevIndex] }));
+      return equalities.length > 0 ? { $and: [...equalities, after] } : after;
+    })
+    .filter(Boolean);
+
+  return { $or: branches };
+};
+
+/**
+ * Parse the pagination parameters
+ * Cursor pagination wins when a cursor is passed; otherwise page numbers are used.
+ * @param {Object} query - req.query
+ * @returns {Object} { limit, page, cursor }
+ */
+const parsePagination = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { limit, page, cursor: query.cursor || null };
+};
+
+module.exports = {
+  TaskQueryError,
+  CATEGORY_SOURCES,
+  buildTaskFilter,
+  parseSort,
+  toSortObject,
+  encodeCursor,
+  buildCursorFilter,
+  parsePagination,
+};
@@ -0,0 +1,118 @@
+/**
+ * Task status definitions shared by the task model, listings and assignment
+ */
+
+// Every status a task can have
+const TASK_STATUSES = ["pending", "in-progress", "on-hold", "waiting-on-customer", "escalated", "snoozed", "completed", "cancelled"];
+
+// Statuses that still need work - these count towards an agent's load
+const OPEN_TASK_STATUSES = ["pending", "in-progress", "on-hold", "waiting-on-customer", "escalated", "snoozed"];
+
+// Waiting for its follow-up time - set through the snooze endpoint, cleared by services/followUpService.js
+const SNOOZED_STATUS = "snoozed";
+
+// Statuses that end the work on a task
+const CLOSED_TASK_STATUSES = ["completed", "cancelled"];
+
+// Request fields a transition can require (stored on the task)
+const TRANSITION_FIELDS = ["resolutionNote", "statusReason"];
+
+// Keys used for per-status counts in analytics responses
+const STATUS_COUNT_KEYS = {
+  pending: "pending",
+  "in-progress": "inProgress",
+  "on-hold": "onHold",
+  "waiting-on-customer": "waitingOnCustomer",
+  escalated: "escalated",
+  snoozed: "snoozed",
+  completed: "completed",
+  cancelled: "cancelled",
+};
+
+/**
+ * Default workflow: from status -> { to status: { requires } }
+ * Moves between pending, in-progress and completed stay unrestricted; admins can
+ * change the graph at runtime (setting "workflow.transitions"). A snoozed task goes
+ * back to pending by itself when its follow-up time comes, whatever the graph says.
+ */
+const DEFAULT_TRANSITIONS = {
+  pending: {
+    "in-progress": {},
+    completed: {},
+    "on-hold": {},
+    snoozed: {},
+    escalated: { requires: ["statusReason"] },
+    cancelled: { requires: ["statusReason"] },
+  },
+  "in-progress": {
+    pending: {},
+    completed: {},
+    "on-hold": {},
+    "waiting-on-customer": {},
+    snoozed: {},
+    escalated: { requires: ["statusReason"] },
+    cancelled: { requires: ["statusReason"] },
+  },
+  "on-hold": {
+    pending: {},
+    "in-progress": {},
+    snoozed: {},
+    cancelled: { requires: ["statusReason"] },
+  },
+  "waiting-on-customer": {
+    "in-progress": {},
+    completed: {},
+    "on-hold": {},
+    snoozed: {},
+    cancelled: { requires: ["statusReason"] },
+  },
+  escalated: {
+    "in-progress": {},
+    completed: {},
+    "on-hold": {},
+    cancelled: { requires: ["statusReason"] },
+  },
+  snoozed: {
+    pending: {},
+    "in-progress": {},
+    completed: {},
+    cancelled: { requires: ["statusReason"] },
+  },
+  completed: {
+    pending: {},
+    "in-progress": {},
+  },
+  cancelled: {
+    pending: {},
+  },
+};
+
+/**
+ * $group accumulators counting tasks per status, keyed by STATUS_COUNT_KEYS
+ * @param {string} statusPath - Expression holding the status (default: "$status")
+ * @param {*} amount - What each task adds: 1, or e.g. "$count" after an earlier $group
+ * @returns {Object}
+ */
+const statusCounters = (statusPath = "$status", amount = 1) =>
+  Object.fromEntries(TASK_STATUSES.map((status) => [
+    STATUS_COUNT_KEYS[status],
+    { $sum: { $cond: [{ $eq: [statusPath, status] }, amount, 0] } },
+  ]));
+
+/**
+ * $project entries keeping every per-status count
+ */
+const statusCountProjection = () =>
+  Object.fromEntries(Object.values(STATUS_COUNT_KEYS).map((key) => [key, 1]));
+
+module.exports = {
+  TASK_STATUSES,
+  OPEN_TASK_STATUSES,
+  SNOOZED_STATUS,
+  CLOSED_TASK_STATUSES,
+  TRANSITION_FIELDS,
+  STATUS_COUNT_KEYS,
+  DEFAULT_TRANSITIONS,
+  statusCounters,
+  statusCountProjection,
+};
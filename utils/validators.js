@@ -0,0 +1,81 @@
+/**
+ * Input validation helpers shared by the auth, profile and agent controllers
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Deliberately loose - the verification email is the real check that an address works
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Optional leading "+", then 7-15 digits (E.164 length); spaces, dashes and brackets are ignored
+const MOBILE_PATTERN = /^\+?\d{7,15}$/;
+
+// Agent skill tags: letters, digits, spaces and dashes
+const SKILL_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} \-]*$/u;
+const MAX_SKILL_LENGTH = 40;
+const MAX_AGENT_SKILLS = 20;
+
+/**
+ * Validate a new password
+ * @param {string} password - Candidate password
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+/**
+ * Validate an email address
+ * @param {string} email - Candidate email
+ * @returns {string|null} Error message, or null if the email is acceptable
+ */
+const validateEmail = (email) => {
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+    return "Please provide a valid email address";
+  }
+  return null;
+};
+
+/**
+ * Validate a mobile number
+ * @param {string} mobile - Candidate mobile number
+ * @returns {string|null} Error message, or null if the number is acceptable
+ */
+const validateMobile = (mobile) => {
+  if (typeof mobile !== "string" || !MOBILE_PATTERN.test(mobile.replace(/[\s\-()]/g, ""))) {
+    return "Please provide a valid mobile number";
+  }
+  return null;
+};
+
+/**
+ * Validate an agent skill tag
+ * @param {string} skill - Candidate tag
+ * @returns {string|null} Error message, or null if the tag is acceptable
+ */
+const validateSkill = (skill) => {
+  if (typeof skill !== "string" || !SKILL_PATTERN.test(skill.trim()) || skill.trim().length > MAX_SKILL_LENGTH) {
+    return `Skills must be up to ${MAX_SKILL_LENGTH} letters, digits, spaces or dashes`;
+  }
+  return null;
+};
+
+/**
+ * Normalize a skill tag for storage and comparison
+ * @param {string} skill - Valid tag
+ * @returns {string} Trimmed, lowercased tag
+ */
+const normalizeSkill = (skill) => skill.trim().toLowerCase();
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  validateEmail,
+  validateMobile,
+  MAX_AGENT_SKILLS,
+  validateSkill,
+  normalizeSkill,
+};